@@ -1,38 +1,122 @@
+// Voice activity detection presets. A sub-frame counts as speech when its RMS
+// is above both minRms and ratio times the running noise estimate.
+const VAD_SENSITIVITY = {
+  low: { ratio: 4.5, minRms: 0.008 },
+  medium: { ratio: 3, minRms: 0.004 },
+  high: { ratio: 2, minRms: 0.002 }
+};
+
 class AudioProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
+    const processorOptions = (options && options.processorOptions) || {};
+
     this.bufferSize = 4096; // Increased buffer size for better streaming
     this.buffer = new Float32Array(this.bufferSize);
     this.bufferIndex = 0;
     this.sampleRate = 16000;
     this.gainValue = 5.0; // Reduced gain to prevent clipping
-    this.noiseFloor = 0.005;
     this.prevSample = 0; // For DC offset removal
+
+    // VAD works on 16ms sub-frames and needs a few consecutive active ones,
+    // so a single click doesn't open the gate
+    this.vad = VAD_SENSITIVITY[processorOptions.vadSensitivity] || VAD_SENSITIVITY.medium;
+    this.subFrameSize = 256;
+    this.minSpeechSubFrames = 2;
+    this.noiseEstimate = this.vad.minRms;
+
+    // Hangover keeps the gate open after speech so word endings aren't cut;
+    // pre-roll holds buffers back so the onset before detection is kept too
+    const bufferMs = (this.bufferSize / this.sampleRate) * 1000;
+    this.hangoverBuffers = Math.ceil((processorOptions.hangoverMs ?? 800) / bufferMs);
+    this.preRollBuffers = Math.ceil((processorOptions.preRollMs ?? 250) / bufferMs);
+    this.hangoverRemaining = 0;
+    this.pending = [];
+
+    this.port.onmessage = (event) => {
+      if (event.data.type === 'flush') {
+        this.flush();
+      }
+    };
   }
-  
+
+  // Returns true when the buffer holds enough consecutive speech sub-frames
+  detectSpeech(samples) {
+    let consecutive = 0;
+    let detected = false;
+
+    for (let start = 0; start < samples.length; start += this.subFrameSize) {
+      const end = Math.min(start + this.subFrameSize, samples.length);
+      let sum = 0;
+      for (let i = start; i < end; i++) {
+        sum += samples[i] * samples[i];
+      }
+      const rms = Math.sqrt(sum / (end - start));
+      const threshold = Math.max(this.vad.minRms, this.noiseEstimate * this.vad.ratio);
+
+      if (rms > threshold) {
+        consecutive++;
+        if (consecutive >= this.minSpeechSubFrames) detected = true;
+        // Let the noise estimate creep up so a louder room doesn't read as speech forever
+        this.noiseEstimate *= 1.001;
+      } else {
+        consecutive = 0;
+        // Track the noise floor quickly downwards and slowly upwards
+        this.noiseEstimate = rms < this.noiseEstimate
+          ? 0.5 * this.noiseEstimate + 0.5 * rms
+          : 0.98 * this.noiseEstimate + 0.02 * rms;
+      }
+    }
+
+    this.noiseEstimate = Math.max(this.noiseEstimate, 0.0005);
+    return detected;
+  }
+
+  queueBuffer(message) {
+    if (message.isSpeech) {
+      // Speech onset: the held-back buffers become pre-roll
+      this.pending.forEach(entry => { entry.isSpeech = true; });
+      this.hangoverRemaining = this.hangoverBuffers;
+    } else if (this.hangoverRemaining > 0) {
+      message.isSpeech = true;
+      this.hangoverRemaining--;
+    }
+
+    this.pending.push(message);
+    while (this.pending.length > this.preRollBuffers) {
+      this.port.postMessage(this.pending.shift());
+    }
+  }
+
+  // Posts the held-back buffers, e.g. before the recording stops
+  flush() {
+    this.pending.forEach(message => this.port.postMessage(message));
+    this.pending = [];
+    this.port.postMessage({ type: 'flushed' });
+  }
+
   process(inputs) {
     const input = inputs[0];
     if (input && input.length > 0) {
       const inputChannel = input[0];
-      
+
       // Process input samples
       for (let i = 0; i < inputChannel.length; i++) {
         if (this.bufferIndex < this.bufferSize) {
           // DC offset removal (high-pass filter)
           const sample = inputChannel[i] - this.prevSample + 0.995 * this.prevSample;
           this.prevSample = sample;
-          
-          // Apply gain and noise gate
+
+          // Apply gain
           let processedSample = sample * this.gainValue;
-          processedSample = Math.abs(processedSample) > this.noiseFloor ? processedSample : 0;
-          
+
           // Soft clipping
           if (processedSample > 1.0) {
             processedSample = Math.tanh(processedSample);
           } else if (processedSample < -1.0) {
             processedSample = -Math.tanh(-processedSample);
           }
-          
+
           this.buffer[this.bufferIndex++] = processedSample;
         }
       }
@@ -43,28 +127,33 @@ class AudioProcessor extends AudioWorkletProcessor {
         const rms = Math.sqrt(
           this.buffer.reduce((acc, val) => acc + val * val, 0) / this.bufferSize
         );
+        const isSpeech = this.detectSpeech(this.buffer);
 
-        if (rms > this.noiseFloor) {
-          // Convert to 16-bit PCM with proper byte ordering
-          const pcmData = new Int16Array(this.bufferSize);
-          
-          for (let i = 0; i < this.bufferSize; i++) {
-            // Scale to 16-bit range with headroom
-            const sample = this.buffer[i] * 0.8; // Leave 20% headroom
-            pcmData[i] = Math.floor(sample * 32767);
-          }
+        // Convert to 16-bit PCM with proper byte ordering
+        const pcmData = new Int16Array(this.bufferSize);
+        let peak = 0;
+        let total = 0;
 
-          this.port.postMessage({
-            audioData: pcmData,
-            rms: rms,
-            stats: {
-              peak: Math.max(...pcmData.map(Math.abs)),
-              avg: pcmData.reduce((a, b) => a + Math.abs(b), 0) / pcmData.length,
-              activeFrames: pcmData.filter(v => Math.abs(v) > 0).length
-            }
-          });
+        for (let i = 0; i < this.bufferSize; i++) {
+          // Scale to 16-bit range with headroom
+          const sample = this.buffer[i] * 0.8; // Leave 20% headroom
+          pcmData[i] = Math.floor(sample * 32767);
+          peak = Math.max(peak, Math.abs(pcmData[i]));
+          total += Math.abs(pcmData[i]);
         }
 
+        // Every buffer is posted so the recording stays continuous;
+        // isSpeech tells the page whether to stream it or a silent frame
+        this.queueBuffer({
+          audioData: pcmData,
+          rms: rms,
+          isSpeech: isSpeech,
+          stats: {
+            peak: peak,
+            avg: total / this.bufferSize
+          }
+        });
+
         // Reset buffer
         this.bufferIndex = 0;
         this.buffer.fill(0);
@@ -74,4 +163,4 @@ class AudioProcessor extends AudioWorkletProcessor {
   }
 }
 
-registerProcessor('audio-processor', AudioProcessor);
\ No newline at end of file
+registerProcessor('audio-processor', AudioProcessor);
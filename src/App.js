@@ -1,4 +1,4 @@
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import { TranscribeStreamingClient, StartStreamTranscriptionCommand } from '@aws-sdk/client-transcribe-streaming';
 import { FetchHttpHandler } from "@aws-sdk/fetch-http-handler";
 import { Buffer } from 'buffer';
@@ -9,28 +9,85 @@ import DictionaryEditor from './services/DictionaryEditor';
 import { GetObjectCommand } from "@aws-sdk/client-s3";
 import TextDisplay from './services/TextDisplay';
 import TranscriptionConfig from './components/TranscriptionConfig';
+import LocalSessionStore from './services/LocalSessionStore';
+import VocabularyService from './services/VocabularyService';
+import { encodeRecording } from './services/AudioEncoder';
+import SpeakerNames from './components/SpeakerNames';
+import { getDetectedSpeakers } from './services/SpeakerLabels';
+import { createSegment, formatSegment, formatTranscript } from './services/TranscriptSegments';
+import {
+  DEFAULT_LANGUAGE,
+  getSessionVocabulary,
+  getTranscribeLanguageSettings,
+  getUploadLanguageOptions,
+  resolveSessionLanguage
+} from './services/Languages';
+import {
+  applySpokenPunctuation,
+  applyVoiceCommand,
+  loadVoiceCommands,
+  saveVoiceCommands
+} from './services/VoiceCommands';
+import InputHealthMonitor, { INPUT_WARNINGS } from './services/InputHealthMonitor';
+import AutoStopMonitor, { AUTO_STOP_REASONS } from './services/AutoStopMonitor';
+import SessionCheckpointer, { loadCheckpoint, discardCheckpoint } from './services/SessionCheckpointer';
+import { redactSession, redactStoredTranscription } from './services/Redaction';
+import { getPendingUploads, discardPendingUpload } from './services/MediaUpload';
+import UploadQueue from './services/UploadQueue';
+import UploadQueuePanel from './components/UploadQueuePanel';
+import NormalizeUploadDialog from './components/NormalizeUploadDialog';
+import SessionHistory from './components/SessionHistory';
+import EncounterForm from './components/EncounterForm';
+import SearchPanel from './components/SearchPanel';
+import { EMPTY_ENCOUNTER, normalizeEncounter } from './services/EncounterDetails';
+import { ACCEPTED_MEDIA, getSourceType, prepareMediaFile } from './services/MediaFiles';
+import { getRouteSessionId, navigateToSession, navigateHome, onRouteChange } from './services/SessionRoute';
+
+const MAX_RECONNECT_ATTEMPTS = 10;
+// How long stopping waits for Transcribe's last results
+const STREAM_CLOSE_TIMEOUT_MS = 10000;
 
 const MedicalTranscription = () => {
   const [isRecording, setIsRecording] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [isReconnecting, setIsReconnecting] = useState(false);
   const [transcription, setTranscription] = useState('');
+  const [transcriptSegments, setTranscriptSegments] = useState([]);
   const [error, setError] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [audioLevel, setAudioLevel] = useState(0);
-  const [uploadingFile, setUploadingFile] = useState(false);
   const [selectedFileName, setSelectedFileName] = useState('');
-  const [isLoadingTranscription, setIsLoadingTranscription] = useState(false);
 
   const fileInputRef = useRef(null);
+  const [pendingUploads, setPendingUploads] = useState(() => getPendingUploads());
+  const [uploadQueueItems, setUploadQueueItems] = useState([]);
+  const uploadQueueRef = useRef(null);
+  const [seekRequest, setSeekRequest] = useState(null);
+  const [textFocusRequest, setTextFocusRequest] = useState(null);
+  const [normalizeUploads, setNormalizeUploads] = useState(() => localStorage.getItem('transcriber.normalizeUploads') === 'true');
+  // Files being preprocessed, shown for confirmation before they're queued
+  const [normalizePreview, setNormalizePreview] = useState(null);
+  const normalizeRunRef = useRef(0);
+  const [extractingFileName, setExtractingFileName] = useState('');
   const [sessionId, setSessionId] = useState(null);
+  const recordingSessionIdRef = useRef(null);
   const recordedChunksRef = useRef([]);
+  const [recoverableSessions, setRecoverableSessions] = useState([]);
+  const [isRecoveringSession, setIsRecoveringSession] = useState(false);
 
   const partialTranscriptRef = useRef('');
   const completeTranscriptsRef = useRef([]);
   const currentSpeakerRef = useRef(null);
+  const audioQueueRef = useRef([]);
+  // 16 kHz samples queued for Transcribe since the recording started
+  const queuedSamplesRef = useRef(0);
+  const transcriptionStreamRef = useRef(null);
+  const unconfirmedChunksRef = useRef([]);
+  const streamGenerationRef = useRef(0);
   
-  const mediaRecorderRef = useRef(null);
   const audioContextRef = useRef(null);
   const workletNodeRef = useRef(null);
+  const workletFlushRef = useRef(null);
   const streamRef = useRef(null);
   const gainNodeRef = useRef(null);
   const analyserRef = useRef(null);
@@ -38,11 +95,332 @@ const MedicalTranscription = () => {
 
   const [isProcessingAI, setIsProcessingAI] = useState(false);
 
-  const [language, setLanguage] = useState('he-IL');
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  const [recordingFormat, setRecordingFormat] = useState('wav');
+  const [numberOfParticipants, setNumberOfParticipants] = useState(2);
+  const [speakerNames, setSpeakerNames] = useState({});
+  const [encounter, setEncounter] = useState(EMPTY_ENCOUNTER);
+  const [deviceId, setDeviceId] = useState(() => localStorage.getItem('transcriber.deviceId') || '');
+  const [vadSensitivity, setVadSensitivity] = useState(() => localStorage.getItem('transcriber.vadSensitivity') || 'medium');
+  const [inputWarnings, setInputWarnings] = useState([]);
+  const [vocabularySettings, setVocabularySettings] = useState(() => VocabularyService.loadSettings());
+  const [transcriptionMode, setTranscriptionMode] = useState(() => localStorage.getItem('transcriber.mode') || 'conversation');
+  const [voiceCommands, setVoiceCommands] = useState(loadVoiceCommands);
+  const [stopRequested, setStopRequested] = useState(false);
+  const inputHealthRef = useRef(null);
+  const [autoStopSettings, setAutoStopSettings] = useState(() => ({
+    silenceMinutes: 5,
+    maxMinutes: 120,
+    ...JSON.parse(localStorage.getItem('transcriber.autoStop') || '{}')
+  }));
+  const [autoStopWarning, setAutoStopWarning] = useState(null);
+  const [autoStopReason, setAutoStopReason] = useState('');
+  const autoStopRef = useRef(null);
+  const [checkpointAudio, setCheckpointAudio] = useState(() => localStorage.getItem('transcriber.checkpointAudio') === 'true');
+  const checkpointerRef = useRef(null);
+
+  useEffect(() => {
+    localStorage.setItem('transcriber.deviceId', deviceId);
+  }, [deviceId]);
+
+  useEffect(() => {
+    localStorage.setItem('transcriber.vadSensitivity', vadSensitivity);
+  }, [vadSensitivity]);
+
+  useEffect(() => {
+    VocabularyService.saveSettings(vocabularySettings);
+  }, [vocabularySettings]);
+
+  useEffect(() => {
+    localStorage.setItem('transcriber.mode', transcriptionMode);
+  }, [transcriptionMode]);
+
+  useEffect(() => {
+    localStorage.setItem('transcriber.autoStop', JSON.stringify(autoStopSettings));
+  }, [autoStopSettings]);
+
+  useEffect(() => {
+    localStorage.setItem('transcriber.checkpointAudio', String(checkpointAudio));
+  }, [checkpointAudio]);
+
+  useEffect(() => {
+    localStorage.setItem('transcriber.normalizeUploads', String(normalizeUploads));
+  }, [normalizeUploads]);
+
+  useEffect(() => {
+    saveVoiceCommands(voiceCommands);
+  }, [voiceCommands]);
+
+  // Offer a name for every configured speaker plus any extra one Transcribe found
+  const speakers = useMemo(() => {
+    const detected = getDetectedSpeakers(transcription);
+    // Dictations have a single unlabeled speaker
+    const configured = transcriptionMode === 'dictation'
+      ? []
+      : Array.from({ length: numberOfParticipants }, (_, i) => i + 1);
+    return Array.from(new Set([...configured, ...detected])).sort((a, b) => a - b);
+  }, [transcription, numberOfParticipants, transcriptionMode]);
 
   // -- New state to hold + edit the generated summary text --
   const [editedSummary, setEditedSummary] = useState('');
 
+  // Encodes the worklet PCM into the chosen container and uploads it together
+  // with the redacted transcript; shared by the normal stop path and local
+  // recovery. A transcript from a redacted checkpoint is stored as it is.
+  // The manifest is saved even without audio (a recovered session whose audio
+  // wasn't checkpointed), just without a recording.
+  // Returns the transcript as stored, for display.
+  const uploadRecordedSession = async (targetSessionId, pcmChunks, transcriptText, { format, sampleRate, metadata, segments, redacted: alreadyRedacted = false }) => {
+    let recording = null;
+    if (pcmChunks.length > 0) {
+      const encoded = encodeRecording(pcmChunks, sampleRate, format);
+      const key = await S3Service.uploadRecording(encoded.blob, targetSessionId, format);
+      recording = { ...encoded.metadata, key };
+    }
+    await S3Service.saveSessionMetadata(targetSessionId, {
+      ...metadata,
+      source: 'live',
+      ...(recording && { recording })
+    });
+
+    const redacted = alreadyRedacted
+      ? { text: transcriptText, segments, redacted: true }
+      : await redactSession(targetSessionId, transcriptText, segments);
+    await S3Service.uploadTranscription(redacted.text, targetSessionId, redacted.segments, {
+      redacted: redacted.redacted
+    });
+    return redacted;
+  };
+
+  // Unfinished sessions from the local store, plus S3 checkpoints of sessions
+  // this browser no longer has (e.g. site data cleared or another computer)
+  const refreshRecoverableSessions = useCallback(async () => {
+    try {
+      const [localSessions, checkpoints] = await Promise.all([
+        LocalSessionStore.getUnfinishedSessions(),
+        S3Service.listCheckpoints().catch(error => {
+          console.error('Error listing checkpoints:', error);
+          return [];
+        })
+      ]);
+      const sessions = [
+        ...localSessions.map(session => ({ ...session, source: 'local' })),
+        ...checkpoints
+          .filter(({ sessionId: id }) => !localSessions.some(session => session.sessionId === id))
+          .map(({ sessionId: id, lastModified }) => ({
+            sessionId: id,
+            startedAt: new Date(lastModified).toISOString(),
+            source: 'checkpoint'
+          }))
+      ];
+      setRecoverableSessions(sessions.filter(session => session.sessionId !== recordingSessionIdRef.current));
+    } catch (error) {
+      console.error('Error reading local sessions:', error);
+    }
+  }, []);
+
+  // Anything still in the local store on load was never uploaded
+  useEffect(() => {
+    refreshRecoverableSessions();
+  }, [refreshRecoverableSessions]);
+
+  // Local copies are complete; a checkpoint has everything up to its last upload
+  const loadRecoverableSession = async (recoveredSessionId, source) => {
+    if (source === 'checkpoint') {
+      const { checkpoint, chunks, segments } = await loadCheckpoint(recoveredSessionId);
+      return {
+        chunks,
+        segments,
+        redacted: Boolean(checkpoint.redacted),
+        format: checkpoint.settings?.recordingFormat || 'wav',
+        sampleRate: checkpoint.sampleRate || 16000,
+        metadata: checkpoint.settings?.metadata || {}
+      };
+    }
+
+    const { session, chunks, segments } = await LocalSessionStore.loadSession(recoveredSessionId);
+    return {
+      chunks,
+      segments,
+      format: session.recordingFormat || 'wav',
+      sampleRate: session.sampleRate || 16000,
+      metadata: {
+        language: session.language,
+        numberOfParticipants: session.numberOfParticipants,
+        mode: session.mode || 'conversation',
+        vocabulary: session.vocabulary,
+        encounter: session.encounter
+      }
+    };
+  };
+
+  // Reopens a stored session into the player, text display and AI buttons.
+  // The manifest is always read afresh, since speakers and encounter details
+  // change after the session. source is a fallback for older sessions whose
+  // manifest doesn't say. Returns whether the session could be opened.
+  const openSession = useCallback(async (openedSessionId, { source } = {}) => {
+    setError('');
+    try {
+      const [transcription, metadata, summary] = await Promise.all([
+        S3Service.getTranscription(openedSessionId),
+        S3Service.getSessionMetadata(openedSessionId),
+        S3Service.getSummary(openedSessionId)
+      ]);
+      if (!transcription) {
+        throw new Error('No transcription found');
+      }
+
+      // Batch transcripts and ones saved before redaction are redacted in place
+      const { text, segments } = await redactStoredTranscription(openedSessionId, transcription);
+
+      setSessionId(openedSessionId);
+      setSelectedFileName((metadata.source || source) === 'upload'
+        ? metadata.originalFile?.name || 'Uploaded file'
+        : '');
+      setSpeakerNames(metadata.speakers || {});
+      setEncounter(normalizeEncounter(metadata.encounter));
+      setTranscriptSegments(segments);
+      setTranscription(text);
+      setEditedSummary(summary || '');
+      return true;
+    } catch (error) {
+      console.error('Error opening session:', error);
+      setError('Failed to open session: ' + error.message);
+      return false;
+    }
+  }, []);
+
+  // Opens the session of a search result and shows the match in its text
+  const openSearchResult = async (result) => {
+    if (await openSession(result.sessionId) && result.view) {
+      setTextFocusRequest({ view: result.view, ...result.match });
+    }
+  };
+
+  // Back to an empty screen for a new session, without reloading the page.
+  // Uploads in the queue carry on in the background.
+  const resetSession = useCallback(() => {
+    setSessionId(null);
+    setSelectedFileName('');
+    setTranscription('');
+    setTranscriptSegments([]);
+    setSpeakerNames({});
+    setEncounter(EMPTY_ENCOUNTER);
+    setEditedSummary('');
+    setSeekRequest(null);
+    setTextFocusRequest(null);
+    setError('');
+    setAutoStopReason('');
+    completeTranscriptsRef.current = [];
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  }, []);
+
+  // The address follows the session on screen once it's recorded and saved
+  useEffect(() => {
+    if (sessionId && !isRecording && !isProcessing && getRouteSessionId() !== sessionId) {
+      navigateToSession(sessionId);
+    }
+  }, [sessionId, isRecording, isProcessing]);
+
+  // Opens the session in the address on load, and on back/forward. A
+  // recording in progress isn't interrupted by navigating.
+  useEffect(() => {
+    const handleRoute = (routeSessionId) => {
+      if (recordingSessionIdRef.current) return;
+      if (routeSessionId) {
+        openSession(routeSessionId);
+      } else {
+        resetSession();
+      }
+    };
+
+    const initialSessionId = getRouteSessionId();
+    if (initialSessionId) {
+      handleRoute(initialSessionId);
+    }
+    return onRouteChange(handleRoute);
+  }, [openSession, resetSession]);
+
+  const recoverSession = async (recoveredSessionId, source) => {
+    setIsRecoveringSession(true);
+    setError('');
+
+    try {
+      const { chunks, segments, redacted, format, sampleRate, metadata } =
+        await loadRecoverableSession(recoveredSessionId, source);
+      const recoveredText = formatTranscript(segments);
+
+      const stored = await uploadRecordedSession(recoveredSessionId, chunks, recoveredText, {
+        format,
+        sampleRate,
+        segments,
+        redacted,
+        metadata: {
+          ...metadata,
+          language: resolveSessionLanguage(metadata.language, segments)
+        }
+      });
+      await LocalSessionStore.deleteSession(recoveredSessionId);
+      await discardCheckpoint(recoveredSessionId)
+        .catch(error => console.error('Error removing checkpoint:', error));
+
+      setSelectedFileName('');
+      setSessionId(recoveredSessionId);
+      setEncounter(normalizeEncounter(metadata.encounter));
+      setTranscription(stored.text);
+      setTranscriptSegments(stored.segments);
+      console.log('Recovered session uploaded:', recoveredSessionId);
+    } catch (error) {
+      console.error('Error recovering session:', error);
+      setError('Failed to recover session: ' + error.message);
+    } finally {
+      setIsRecoveringSession(false);
+      refreshRecoverableSessions();
+    }
+  };
+
+  const discardRecoverableSession = async (discardedSessionId) => {
+    try {
+      await LocalSessionStore.deleteSession(discardedSessionId);
+      await discardCheckpoint(discardedSessionId);
+    } catch (error) {
+      console.error('Error discarding local session:', error);
+    }
+    refreshRecoverableSessions();
+  };
+
+  const saveSpeakerNames = async () => {
+    if (!sessionId) return;
+
+    try {
+      await S3Service.saveSessionMetadata(sessionId, { speakers: speakerNames });
+    } catch (error) {
+      console.error('Error saving speaker names:', error);
+      setError('Failed to save speaker names: ' + error.message);
+    }
+  };
+
+  // Details typed before a session exists are saved with it. While recording
+  // they go to the local copy and the server checkpoint, and are uploaded
+  // with the recording.
+  const saveEncounter = async (updated) => {
+    if (!sessionId) return;
+
+    try {
+      if (isRecording) {
+        await LocalSessionStore.updateSession(sessionId, { encounter: updated });
+        await checkpointerRef.current?.updateMetadata({ encounter: updated });
+      } else {
+        await S3Service.saveSessionMetadata(sessionId, { encounter: updated });
+      }
+    } catch (error) {
+      console.error('Error saving encounter details:', error);
+      setError('Failed to save encounter details: ' + error.message);
+    }
+  };
+
   const handleCleanText = async () => {
     if (!sessionId) {
       setError('No active session');
@@ -127,125 +505,172 @@ const MedicalTranscription = () => {
     }
   };
 
-  const loadTranscription = async (sessionId) => {
-    setIsLoadingTranscription(true);
-    setError('');
-    
-    try {
-      let attempts = 0;
-      const maxAttempts = 120; // 4 minute total (2 second intervals)
-      const pollInterval = 2000;
-
-      const pollForTranscription = async () => {
-        try {
-          const transcriptionText = await S3Service.getFirstTranscription(sessionId);
-          if (transcriptionText) {
-            setTranscription(transcriptionText);
-            return true;
-          }
-          return false;
-        } catch (error) {
-          console.log('Polling attempt failed:', error);
-          return false;
-        }
-      };
+  // Opens a transcript the upload queue finished; never over a live recording
+  const openQueueItem = useCallback((item) => {
+    if (recordingSessionIdRef.current) return;
+    setSessionId(item.sessionId);
+    setSelectedFileName(item.fileName);
+    setSpeakerNames({});
+    setTranscriptSegments(item.segments || []);
+    setTranscription(item.text);
+    S3Service.getSessionMetadata(item.sessionId)
+      .then(metadata => setEncounter(normalizeEncounter(metadata.encounter)))
+      .catch(error => console.error('Error reading encounter details:', error));
+  }, []);
 
-      const poll = async () => {
-        if (attempts >= maxAttempts) {
-          throw new Error('Timeout waiting for transcription');
-        }
-        console.log(`Polling attempt ${attempts + 1}/${maxAttempts} for session ${sessionId}`);
-        const found = await pollForTranscription();
-        if (!found) {
-          attempts++;
-          await new Promise(resolve => setTimeout(resolve, pollInterval));
-          return poll();
+  const getUploadQueue = useCallback(() => {
+    if (!uploadQueueRef.current) {
+      uploadQueueRef.current = new UploadQueue({
+        concurrency: 2,
+        onChange: items => {
+          setUploadQueueItems(items);
+          setPendingUploads(getPendingUploads());
+        },
+        // Picking a single file opens its transcript as soon as it's ready
+        onDone: item => {
+          if (uploadQueueRef.current.items.length === 1) openQueueItem(item);
         }
-      };
+      });
+    }
+    return uploadQueueRef.current;
+  }, [openQueueItem]);
+
+  // Uploaded sessions still waiting for a transcript when the page was left
+  useEffect(() => {
+    getUploadQueue().restorePending();
+  }, [getUploadQueue]);
+
+  const handleFileSelect = (event) => {
+    const files = Array.from(event.target.files || []);
+    if (files.length === 0) return;
+
+    const supportedFiles = files.filter(file => getSourceType(file));
+    const unsupportedFiles = files.filter(file => !getSourceType(file));
+
+    if (unsupportedFiles.length > 0) {
+      setError('Please select a supported audio or video file (MPEG, MP3, WAV, M4A, WebM, OGG, AAC, FLAC, MP4, MOV). Skipped: ' +
+        unsupportedFiles.map(file => file.name).join(', '));
+    } else {
+      setError('');
+    }
 
-      await poll();
-    } catch (error) {
-      console.error('Error loading transcription:', error);
-      setError(`Failed to load transcription: ${error.message}`);
-    } finally {
-      setIsLoadingTranscription(false);
+    // Clear file input
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
     }
-  };
 
-  const handleFileSelect = async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    // List of supported audio MIME types including all MPEG variations
-    const supportedAudioTypes = [
-      'audio/mpeg',      // MP3/MPEG files
-      'audio/x-mpeg',    // Alternative MPEG MIME type
-      'video/mpeg',      // MPEG files sometimes use video MIME type
-      'audio/mpeg3',     // Alternative MPEG3 MIME type
-      'audio/x-mpeg3',   // Alternative MPEG3 MIME type
-      'audio/mp3',       // MP3 files
-      'audio/x-mp3',     // Alternative MP3 MIME type
-      'audio/mp4',       // M4A files
-      'audio/wav',       // WAV files
-      'audio/x-wav',     // Alternative WAV MIME type
-      'audio/webm',      // WebM audio
-      'audio/ogg',       // OGG files
-      'audio/aac',       // AAC files
-      'audio/x-m4a'      // Alternative M4A MIME type
-    ];
-
-    // Check if file type is directly supported
-    let isSupported = supportedAudioTypes.includes(file.type);
-
-    // If not directly supported, check file extension for .mpeg files
-    if (!isSupported && file.name) {
-      const extension = file.name.toLowerCase().split('.').pop();
-      if (extension === 'mpeg') {
-        isSupported = true;
+    if (supportedFiles.length === 0) return;
+
+    console.log('Queueing files:', supportedFiles.map(file => ({
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      sourceType: getSourceType(file)
+    })));
+
+    const uploadSettings = {
+      transcriptionOptions: {
+        ...getUploadLanguageOptions(language, vocabularySettings),
+        mode: transcriptionMode,
+        'speaker-labels': String(transcriptionMode !== 'dictation'),
+        ...(transcriptionMode !== 'dictation' && { 'max-speakers': numberOfParticipants })
+      },
+      sessionSettings: {
+        source: 'upload',
+        mode: transcriptionMode,
+        language,
+        vocabulary: getSessionVocabulary(language, vocabularySettings),
+        encounter
       }
-    }
+    };
 
-    if (!isSupported) {
-      setError('Please select a supported audio file (MPEG, MP3, WAV, M4A, WebM, OGG, AAC)');
-      return;
+    if (normalizeUploads) {
+      normalizeFiles(supportedFiles, uploadSettings);
+    } else {
+      prepareAndQueueFiles(supportedFiles, uploadSettings);
     }
+  };
 
-    setSelectedFileName(file.name);
-    setUploadingFile(true);
-    setError('');
+  // Extracts audio from videos (one at a time, each is decoded in memory) and
+  // queues every file with metadata about its original
+  const prepareAndQueueFiles = async (files, uploadSettings) => {
+    const entries = [];
+    const failed = [];
+
+    for (const file of files) {
+      try {
+        if (getSourceType(file) === 'video') setExtractingFileName(file.name);
+        entries.push(await prepareMediaFile(file));
+      } catch (error) {
+        console.error('Error preparing file:', error);
+        failed.push(file.name);
+      }
+    }
+    setExtractingFileName('');
 
-    try {
-      const newSessionId = createSessionId();
-      setSessionId(newSessionId);
+    if (failed.length > 0) {
+      setError('Failed to extract audio from: ' + failed.join(', '));
+    }
+    if (entries.length > 0) {
+      getUploadQueue().add(entries, uploadSettings);
+    }
+  };
 
-      // Log file information for debugging
-      console.log('Uploading file:', {
-        name: file.name,
-        type: file.type,
-        size: file.size,
-        extension: file.name.split('.').pop()
-      });
+  // Preprocesses files one at a time (each is decoded in memory) and lists
+  // the results for confirmation; audio files that fail are offered as they are
+  const normalizeFiles = async (files, uploadSettings) => {
+    const run = ++normalizeRunRef.current;
+    const results = [];
+    setNormalizePreview({ results, isProcessing: true, uploadSettings });
+
+    for (const file of files) {
+      try {
+        results.push({ ...(await prepareMediaFile(file, { normalize: true })), originalFile: file });
+      } catch (error) {
+        console.error('Error normalizing audio:', error);
+        results.push({ originalFile: file, error: error.message, isVideo: getSourceType(file) === 'video' });
+      }
+      if (normalizeRunRef.current !== run) return;
+      setNormalizePreview({ results: [...results], isProcessing: true, uploadSettings });
+    }
 
-      // Upload file to S3
-      await S3Service.uploadMedia(file, newSessionId);
+    setNormalizePreview({ results, isProcessing: false, uploadSettings });
+  };
 
-      // Clear file input
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
+  // Video can't go up as is, so "originals" still get their audio extracted
+  const confirmNormalizedUpload = async (useNormalized) => {
+    const { results, uploadSettings } = normalizePreview;
+    const uploadable = results.filter(result => !(result.error && result.isVideo));
+    setNormalizePreview(null);
+
+    if (useNormalized) {
+      getUploadQueue().add(uploadable.map(result => (result.error
+        ? { file: result.originalFile }
+        : { file: result.file, metadata: result.metadata })), uploadSettings);
+    } else {
+      await prepareAndQueueFiles(uploadable.map(result => result.originalFile), uploadSettings);
+    }
+  };
 
-      setSelectedFileName(`Uploaded: ${file.name}`);
-      console.log('Starting transcription polling for session:', newSessionId);
+  const cancelNormalizedUpload = () => {
+    normalizeRunRef.current++;
+    setNormalizePreview(null);
+  };
 
-      // Start loading the transcription
-      await loadTranscription(newSessionId);
+  const activeUploads = uploadQueueItems
+    .filter(item => ['queued', 'uploading', 'transcribing'].includes(item.status)).length;
+  // Interrupted uploads the queue hasn't picked up again
+  const interruptedUploads = pendingUploads
+    .filter(upload => !uploadQueueItems.some(item => item.sessionId === upload.sessionId));
 
+  const discardInterruptedUpload = async (fingerprint) => {
+    try {
+      await discardPendingUpload(fingerprint);
     } catch (error) {
-      console.error('Error handling file:', error);
-      setError('Failed to process file: ' + error.message);
-    } finally {
-      setUploadingFile(false);
+      console.error('Error discarding upload:', error);
+      setError('Failed to discard upload: ' + error.message);
     }
+    setPendingUploads(getPendingUploads());
   };
 
   const transcribeClient = new TranscribeStreamingClient({
@@ -297,48 +722,138 @@ const MedicalTranscription = () => {
     }
   }, []);
 
-  const startTranscription = useCallback(async (stream) => {
+  const connectAudioWorklet = useCallback((stream, sensitivity) => {
+    const source = audioContextRef.current.createMediaStreamSource(stream);
+    workletNodeRef.current = new AudioWorkletNode(audioContextRef.current, 'audio-processor', {
+      processorOptions: { vadSensitivity: sensitivity }
+    });
+
+    source.connect(workletNodeRef.current);
+
+    workletNodeRef.current.port.onmessage = (event) => {
+      if (event.data.type === 'flushed') {
+        workletFlushRef.current?.();
+        workletFlushRef.current = null;
+      } else if (event.data.audioData) {
+        const audioData = event.data.audioData;
+        const stats = event.data.stats;
+
+        const buffer = Buffer.allocUnsafe(audioData.length * 2);
+        for (let i = 0; i < audioData.length; i++) {
+          buffer.writeInt16LE(audioData[i], i * 2);
+        }
+
+        recordedChunksRef.current.push(audioData);
+        LocalSessionStore.appendChunk(recordingSessionIdRef.current, audioData)
+          .catch(error => console.error('Error persisting audio chunk:', error));
+
+        // Non-speech buffers go to Transcribe as digital silence of the same
+        // length, so its timestamps stay aligned with the recording
+        audioQueueRef.current.push(event.data.isSpeech ? buffer : Buffer.alloc(buffer.length));
+        queuedSamplesRef.current += audioData.length;
+
+        setAudioLevel(Math.min(100, event.data.rms * 200));
+        inputHealthRef.current?.update(event.data.rms, stats.peak);
+        autoStopRef.current?.update(event.data.rms);
+      }
+    };
+  }, []);
+
+  // Asks the worklet for the buffers it holds back as VAD pre-roll
+  const flushAudioWorklet = useCallback(() => {
+    if (!workletNodeRef.current) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const timeout = setTimeout(resolve, 500);
+      workletFlushRef.current = () => {
+        clearTimeout(timeout);
+        resolve();
+      };
+      workletNodeRef.current.port.postMessage({ type: 'flush' });
+    });
+  }, []);
+
+  // Stops the microphone and takes the worklet out of the graph, so nothing
+  // more is recorded or written to the local copy. The context stays open.
+  const releaseAudioInput = useCallback(() => {
+    if (animationFrameRef.current) {
+      cancelAnimationFrame(animationFrameRef.current);
+    }
+
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+
+    if (workletNodeRef.current) {
+      workletNodeRef.current.port.onmessage = null;
+      workletNodeRef.current.disconnect();
+      workletNodeRef.current = null;
+    }
+
+    if (gainNodeRef.current) {
+      gainNodeRef.current.disconnect();
+      gainNodeRef.current = null;
+    }
+
+    if (analyserRef.current) {
+      analyserRef.current.disconnect();
+      analyserRef.current = null;
+    }
+  }, []);
+
+  const startTranscription = useCallback(async (onConnected) => {
     let isStreaming = true;
-    const audioQueue = [];
     let accumulatedBytes = 0;
     let queueInterval;
+
+    const isDictation = transcriptionMode === 'dictation';
+
+    // Audio sent on a previous stream was either confirmed or requeued by
+    // runTranscription, so every stream starts with an empty replay buffer
+    unconfirmedChunksRef.current = [];
+
+    // Each stream's times start at 0 with the first chunk it gets; segments
+    // are stored on the recording's timeline, so they're shifted by the audio
+    // that came before it (16-bit mono samples)
+    const queuedBytes = audioQueueRef.current.reduce((total, chunk) => total + chunk.length, 0);
+    const streamOffset = (queuedSamplesRef.current - queuedBytes / 2) / 16000;
+
+    // Pause and stop end the stream through this handle: the queued audio is
+    // sent, then Transcribe returns its last final results and the loop below
+    // ends, which resolves closed
+    let resolveClosed;
+    const streamHandle = {
+      stop: () => {
+        isStreaming = false;
+      },
+      closed: new Promise(resolve => {
+        resolveClosed = resolve;
+      })
+    };
+    transcriptionStreamRef.current = streamHandle;
   
     try {
-      const source = audioContextRef.current.createMediaStreamSource(stream);
-      workletNodeRef.current = new AudioWorkletNode(audioContextRef.current, 'audio-processor');
-  
-      source.connect(workletNodeRef.current);
-  
-      workletNodeRef.current.port.onmessage = (event) => {
-        if (event.data.audioData) {
-          const audioData = event.data.audioData;
-          const stats = event.data.stats;
-  
-          const buffer = Buffer.allocUnsafe(audioData.length * 2);
-          for (let i = 0; i < audioData.length; i++) {
-            buffer.writeInt16LE(audioData[i], i * 2);
-          }
-  
-          if (stats.activeFrames > 0) {
-            audioQueue.push(buffer);
-          }
-  
-          setAudioLevel(Math.min(100, event.data.rms * 200));
-        }
-      };
-  
       const audioStream = new ReadableStream({
         start(controller) {
           queueInterval = setInterval(() => {
-            if (!isStreaming) {
+            // Drain whatever the worklet already produced before closing
+            if (!isStreaming && audioQueueRef.current.length === 0) {
+              clearInterval(queueInterval);
               controller.close();
               return;
             }
   
-            if (audioQueue.length > 0) {
-              const chunk = audioQueue.shift();
+            if (audioQueueRef.current.length > 0) {
+              const chunk = audioQueueRef.current.shift();
               controller.enqueue(chunk);
               accumulatedBytes += chunk.length;
+
+              // Keep the chunk until a final result covers it (16-bit mono samples)
+              unconfirmedChunksRef.current.push({
+                chunk,
+                endTime: accumulatedBytes / 2 / 16000
+              });
             }
           }, 5); // Reduced interval for faster processing
         },
@@ -349,16 +864,17 @@ const MedicalTranscription = () => {
       });
   
       const command = new StartStreamTranscriptionCommand({
-        LanguageCode: language,
+        ...getTranscribeLanguageSettings(language, vocabularySettings),
         MediaEncoding: 'pcm',
         MediaSampleRateHertz: 16000,
-        // Always enable speaker identification with a default maximum of 5 speakers.
-        EnableSpeakerIdentification: true,
-        NumberOfParticipants: 2, 
-        ShowSpeakerLabel: true,
+        // Dictations are a single speaker, so they skip diarization and labels
+        ...(!isDictation && {
+          EnableSpeakerIdentification: true,
+          NumberOfParticipants: numberOfParticipants,
+          ShowSpeakerLabel: true
+        }),
         EnablePartialResultsStabilization: true,
         PartialResultsStability: 'low',
-        VocabularyName: 'transcriber-he-punctuation',
         AudioStream: async function* () {
           const reader = audioStream.getReader();
           try {
@@ -376,11 +892,12 @@ const MedicalTranscription = () => {
       });
   
       const response = await transcribeClient.send(command);
+      if (onConnected) {
+        onConnected();
+      }
   
       // Initialize state with more efficient handling
-      let currentTranscript = '';
       let lastPartialTimestamp = Date.now();
-      completeTranscriptsRef.current = [];
       
       for await (const event of response.TranscriptResultStream) {
         if (event.TranscriptEvent?.Transcript?.Results?.[0]) {
@@ -388,18 +905,11 @@ const MedicalTranscription = () => {
           
           if (result.Alternatives?.[0]) {
             const alternative = result.Alternatives[0];
-            const newText = alternative.Transcript || '';
-            
-            // Handle speaker labels
-            let speakerLabel = '';
-            if (alternative.Items?.length > 0) {
-              const speakerItem = alternative.Items.find(item => item.Speaker);
-              if (speakerItem) {
-                speakerLabel = `[דובר ${Math.min(Number(speakerItem.Speaker) + 1, 2)}]: `;
-              }
-            } else if (result.Speaker) {
-              speakerLabel = `[דובר ${Math.min(Number(result.Speaker) + 1, 2)}]: `;
-            }
+
+            // Speaker, word timings and confidences of this result
+            const segment = isDictation
+              ? applySpokenPunctuation(createSegment(result, alternative, streamOffset))
+              : createSegment(result, alternative, streamOffset);
   
             // Update partial results more frequently
             const now = Date.now();
@@ -407,25 +917,49 @@ const MedicalTranscription = () => {
   
             if (result.IsPartial) {
               if (shouldUpdatePartial) {
-                currentTranscript = newText;
                 lastPartialTimestamp = now;
                 
                 // Immediately update UI with partial result
                 const displayText = [
-                  ...completeTranscriptsRef.current,
-                  speakerLabel + currentTranscript
+                  formatTranscript(completeTranscriptsRef.current),
+                  formatSegment(segment)
                 ].filter(Boolean).join('\n');
                 
                 setTranscription(displayText);
               }
             } else {
+              // Audio up to this point is transcribed and no longer needs replaying;
+              // both times here are the stream's own
+              unconfirmedChunksRef.current = unconfirmedChunksRef.current.filter(
+                ({ endTime }) => endTime > (result.EndTime || 0)
+              );
+
               // For final results
-              completeTranscriptsRef.current.push(speakerLabel + newText);
-              currentTranscript = ''; // Reset current transcript
+              if (isDictation) {
+                // Spoken commands edit the transcript instead of being written into it
+                const { segments, command } = applyVoiceCommand(completeTranscriptsRef.current, segment, voiceCommands);
+                completeTranscriptsRef.current = segments;
+                LocalSessionStore.replaceSegments(recordingSessionIdRef.current, segments)
+                  .catch(error => console.error('Error persisting segments:', error));
+
+                if (command) {
+                  console.log('Voice command:', command);
+                }
+                if (command === 'stopRecording') {
+                  setStopRequested(true);
+                }
+              } else {
+                completeTranscriptsRef.current.push(segment);
+                LocalSessionStore.saveSegment(
+                  recordingSessionIdRef.current,
+                  completeTranscriptsRef.current.length - 1,
+                  segment
+                ).catch(error => console.error('Error persisting segment:', error));
+              }
               
               // Always update UI immediately for final results
-              const displayText = completeTranscriptsRef.current.join('\n');
-              setTranscription(displayText);
+              setTranscriptSegments([...completeTranscriptsRef.current]);
+              setTranscription(formatTranscript(completeTranscriptsRef.current));
             }
           }
         }
@@ -435,8 +969,76 @@ const MedicalTranscription = () => {
       throw error;
     } finally {
       clearInterval(queueInterval);
+      if (transcriptionStreamRef.current === streamHandle) {
+        transcriptionStreamRef.current = null;
+      }
+      resolveClosed();
+      console.log(`Transcription stream closed after ${accumulatedBytes} bytes`);
     }
-  }, [isRecording, language]);
+  }, [isRecording, language, numberOfParticipants, vocabularySettings, transcriptionMode, voiceCommands]);
+
+  // Keeps a Transcribe stream open for as long as this generation is current.
+  // While disconnected the worklet keeps filling audioQueueRef, so reopening
+  // the stream replays everything Transcribe hasn't finalized yet.
+  const runTranscription = useCallback(async () => {
+    const generation = ++streamGenerationRef.current;
+    const isCurrent = () => streamGenerationRef.current === generation;
+    let failures = 0;
+
+    const handleConnected = () => {
+      failures = 0;
+      setIsReconnecting(false);
+    };
+
+    while (isCurrent()) {
+      try {
+        await startTranscription(handleConnected);
+      } catch (error) {
+        if (!isCurrent()) break;
+
+        failures++;
+        console.warn(`Transcription stream dropped. Reconnect attempt ${failures} of ${MAX_RECONNECT_ATTEMPTS}...`);
+        if (failures > MAX_RECONNECT_ATTEMPTS) {
+          setError('Lost connection to the transcription service: ' + error.message);
+          break;
+        }
+      }
+
+      if (!isCurrent()) break;
+
+      // Show only finalized text and put unconfirmed audio back in front of the queue
+      setIsReconnecting(true);
+      setTranscription(formatTranscript(completeTranscriptsRef.current));
+      audioQueueRef.current = [
+        ...unconfirmedChunksRef.current.map(({ chunk }) => chunk),
+        ...audioQueueRef.current
+      ];
+      unconfirmedChunksRef.current = [];
+
+      const delay = Math.min(1000 * 2 ** failures, 30000);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (isCurrent()) {
+      setIsReconnecting(false);
+    }
+  }, [startTranscription]);
+
+  // Ends the current stream and stops runTranscription from reopening it.
+  // Resolves once the stream's last results are in, or after
+  // STREAM_CLOSE_TIMEOUT_MS should Transcribe not answer.
+  const endTranscription = () => {
+    streamGenerationRef.current++;
+    setIsReconnecting(false);
+
+    const stream = transcriptionStreamRef.current;
+    if (!stream) return Promise.resolve();
+    stream.stop();
+    return Promise.race([
+      stream.closed,
+      new Promise(resolve => setTimeout(resolve, STREAM_CLOSE_TIMEOUT_MS))
+    ]);
+  };
 
   const startRecording = async () => {
     console.log('Starting recording...');
@@ -450,11 +1052,28 @@ const MedicalTranscription = () => {
       // Generate new session ID
       const newSessionId = createSessionId();
       setSessionId(newSessionId);
+      recordingSessionIdRef.current = newSessionId;
       recordedChunksRef.current = [];
+      completeTranscriptsRef.current = [];
+      setTranscriptSegments([]);
+      setSpeakerNames({});
+      await LocalSessionStore.startSession(newSessionId, {
+        language,
+        numberOfParticipants,
+        recordingFormat,
+        mode: transcriptionMode,
+        sampleRate: audioContextRef.current.sampleRate,
+        vocabulary: getSessionVocabulary(language, vocabularySettings),
+        encounter
+      })
+        .catch(error => console.error('Error creating local session copy:', error));
+      audioQueueRef.current = [];
+      queuedSamplesRef.current = 0;
 
       console.log('Requesting microphone access...');
       const stream = await navigator.mediaDevices.getUserMedia({
         audio: {
+          ...(deviceId && { deviceId: { exact: deviceId } }),
           echoCancellation: true,
           noiseSuppression: true,
           autoGainControl: true,
@@ -463,18 +1082,45 @@ const MedicalTranscription = () => {
         }
       });
 
-      // Create MediaRecorder to save the audio
-      mediaRecorderRef.current = new MediaRecorder(stream);
-      mediaRecorderRef.current.ondataavailable = (event) => {
-        if (event.data.size > 0) {
-          recordedChunksRef.current.push(event.data);
-        }
-      };
-      mediaRecorderRef.current.start();
-
       streamRef.current = stream;
+      inputHealthRef.current = new InputHealthMonitor({ onChange: setInputWarnings });
+      inputHealthRef.current.watchTrack(stream.getAudioTracks()[0]);
+      connectAudioWorklet(stream, vadSensitivity);
+
+      // Auto-stop goes through stopRecording like the stop button, so the
+      // recording and transcript are uploaded as usual
+      setAutoStopReason('');
+      autoStopRef.current = new AutoStopMonitor({
+        ...autoStopSettings,
+        onWarning: setAutoStopWarning,
+        onStop: (reason) => {
+          console.log('Auto-stopping recording:', reason);
+          setAutoStopReason(reason);
+          setStopRequested(true);
+        }
+      });
+      autoStopRef.current.start();
+
+      checkpointerRef.current = new SessionCheckpointer({
+        sessionId: newSessionId,
+        getSegments: () => completeTranscriptsRef.current,
+        getChunks: () => recordedChunksRef.current,
+        sampleRate: audioContextRef.current.sampleRate,
+        uploadAudio: checkpointAudio,
+        settings: {
+          recordingFormat,
+          metadata: {
+            language,
+            numberOfParticipants,
+            mode: transcriptionMode,
+            vocabulary: getSessionVocabulary(language, vocabularySettings),
+            encounter
+          }
+        }
+      });
+      checkpointerRef.current.start();
       setIsRecording(true);
-      await startTranscription(stream);
+      await runTranscription();
     } catch (error) {
       console.error('Recording error:', error);
       // Removed visible error assignment
@@ -483,76 +1129,144 @@ const MedicalTranscription = () => {
     }
   };
 
+  // Pausing keeps the session, the audio graph and the transcript; only the
+  // Transcribe stream is closed so it doesn't time out on missing audio
+  const pauseRecording = async () => {
+    if (!isRecording || isPaused) return;
+    console.log('Pausing recording...');
+    setIsPaused(true);
+
+    try {
+      autoStopRef.current?.pause();
+      await flushAudioWorklet();
+      // The stream is done with the queue before a resume can open the next one
+      await endTranscription();
+      checkpointerRef.current?.checkpoint();
+
+      if (audioContextRef.current?.state === 'running') {
+        await audioContextRef.current.suspend();
+      }
+      setAudioLevel(0);
+    } catch (error) {
+      console.error('Pause error:', error);
+      setError('Failed to pause recording: ' + error.message);
+    }
+  };
+
+  const resumeRecording = async () => {
+    if (!isRecording || !isPaused) return;
+    console.log('Resuming recording...');
+
+    try {
+      if (audioContextRef.current?.state === 'suspended') {
+        await audioContextRef.current.resume();
+      }
+
+      setIsPaused(false);
+      inputHealthRef.current?.reset();
+      autoStopRef.current?.resume();
+      await runTranscription();
+    } catch (error) {
+      console.error('Resume error:', error);
+      setError('Failed to resume recording: ' + error.message);
+    }
+  };
+
   const clearTranscription = () => {
-    // Refresh the page
-    window.location.reload();
+    resetSession();
+    navigateHome();
   };
 
   const stopRecording = useCallback(async () => {
     console.log('Stopping recording...');
+    // The session shown may have changed meanwhile; the recording's own is stored
+    const recordedSessionId = recordingSessionIdRef.current;
     setIsRecording(false);
+    setIsPaused(false);
     setIsProcessing(true);
 
     try {
-      if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
-        mediaRecorderRef.current.stop();
-        await new Promise(resolve => {
-          mediaRecorderRef.current.onstop = resolve;
-        });
+      autoStopRef.current?.stop();
+      await flushAudioWorklet();
+      // Everything recorded is in now; the mic is released before uploading
+      releaseAudioInput();
+      await endTranscription();
+
+      // A last checkpoint keeps a server copy should the final upload fail
+      const checkpointer = checkpointerRef.current;
+      if (checkpointer) {
+        checkpointer.stop();
+        await checkpointer.checkpoint();
       }
 
-      // Create audio blob from recorded chunks
+      // Encode the PCM captured by the worklet and upload it with the transcript
       if (recordedChunksRef.current.length > 0) {
-        const audioBlob = new Blob(recordedChunksRef.current, { type: 'audio/wav' });
-
-        // Upload recording to S3
-        await S3Service.uploadRecording(audioBlob, sessionId);
-
-        // Upload transcription to S3
-        await S3Service.uploadTranscription(transcription, sessionId);
+        // Built from the final segments: the transcription state of this
+        // render misses the results that came in while the stream closed
+        const finalText = formatTranscript(completeTranscriptsRef.current);
+        const stored = await uploadRecordedSession(recordedSessionId, recordedChunksRef.current.slice(), finalText, {
+          format: recordingFormat,
+          sampleRate: audioContextRef.current?.sampleRate || 16000,
+          segments: completeTranscriptsRef.current,
+          metadata: {
+            language: resolveSessionLanguage(language, completeTranscriptsRef.current),
+            numberOfParticipants,
+            mode: transcriptionMode,
+            vocabulary: getSessionVocabulary(language, vocabularySettings),
+            speakers: speakerNames,
+            encounter
+          }
+        });
 
+        setTranscription(stored.text);
+        setTranscriptSegments(stored.segments);
         console.log('Successfully saved recording and transcription');
       }
+
+      await LocalSessionStore.deleteSession(recordedSessionId)
+        .catch(error => console.error('Error clearing local session copy:', error));
+      if (checkpointer) {
+        await checkpointer.finalize()
+          .catch(error => console.error('Error removing checkpoint:', error));
+      }
     } catch (error) {
       console.error('Error saving recording:', error);
-      setError('Failed to save recording: ' + error.message);
+      setError('Failed to save recording: ' + error.message + '. The recording was kept on this device and can be recovered.');
     } finally {
-      // Clean up resources
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
-      }
-
-      if (streamRef.current) {
-        streamRef.current.getTracks().forEach(track => track.stop());
-        streamRef.current = null;
-      }
+      recordingSessionIdRef.current = null;
+      refreshRecoverableSessions();
 
-      if (workletNodeRef.current) {
-        workletNodeRef.current.disconnect();
-        workletNodeRef.current = null;
-      }
-
-      if (gainNodeRef.current) {
-        gainNodeRef.current.disconnect();
-        gainNodeRef.current = null;
-      }
-
-      if (analyserRef.current) {
-        analyserRef.current.disconnect();
-        analyserRef.current = null;
-      }
+      // Clean up resources; the input is already released unless stopping failed early
+      releaseAudioInput();
 
-      if (audioContextRef.current?.state === 'running') {
+      // A paused session leaves the context suspended, which still needs closing
+      if (audioContextRef.current && audioContextRef.current.state !== 'closed') {
         audioContextRef.current.close();
-        audioContextRef.current = null;
       }
+      audioContextRef.current = null;
 
-      mediaRecorderRef.current = null;
       recordedChunksRef.current = [];
+      audioQueueRef.current = [];
+      inputHealthRef.current = null;
+      setInputWarnings([]);
+      autoStopRef.current = null;
+      setAutoStopWarning(null);
+      checkpointerRef.current?.stop();
+      checkpointerRef.current = null;
       setAudioLevel(0);
       setIsProcessing(false);
     }
-  }, [sessionId, transcription]);
+  }, [recordingFormat, language, numberOfParticipants, speakerNames, encounter, refreshRecoverableSessions, flushAudioWorklet, releaseAudioInput, vocabularySettings, transcriptionMode]);
+
+  // Voice commands and auto-stop fire inside handlers created earlier;
+  // stopping from here uses the stopRecording of the latest render
+  useEffect(() => {
+    if (!stopRequested) return;
+    setStopRequested(false);
+    if (isRecording) {
+      stopRecording();
+    }
+  }, [stopRequested, isRecording, stopRecording]);
 
   return (
     <div className="min-h-screen bg-blue-50 p-4 md:p-8">
@@ -576,16 +1290,111 @@ const MedicalTranscription = () => {
           </div>
         )}
 
+        {normalizePreview && (
+          <NormalizeUploadDialog
+            results={normalizePreview.results}
+            isProcessing={normalizePreview.isProcessing}
+            onUploadNormalized={() => confirmNormalizedUpload(true)}
+            onUploadOriginal={() => confirmNormalizedUpload(false)}
+            onCancel={cancelNormalizedUpload}
+          />
+        )}
+
+        <UploadQueuePanel
+          items={uploadQueueItems}
+          activeSessionId={sessionId}
+          onOpen={openQueueItem}
+          onPause={id => getUploadQueue().pause(id)}
+          onResume={id => getUploadQueue().resume(id)}
+          onCancel={id => getUploadQueue().cancel(id)}
+          onRetryTracking={id => getUploadQueue().retryTracking(id)}
+          onClearFinished={() => getUploadQueue().clearFinished()}
+        />
+
+        {interruptedUploads.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-400 text-yellow-900 px-4 py-3 rounded mb-4 text-right" dir="rtl">
+            <p className="font-bold mb-2">העלאות שלא הושלמו (בחר את אותו קובץ שוב כדי להמשיך מהנקודה שבה נעצרו):</p>
+            <ul className="space-y-2">
+              {interruptedUploads.map(upload => (
+                <li key={upload.fingerprint} className="flex items-center justify-between gap-2">
+                  <span>
+                    {upload.fileName} · {new Date(upload.startedAt).toLocaleString('he-IL')}
+                  </span>
+                  <button
+                    onClick={() => discardInterruptedUpload(upload.fingerprint)}
+                    className="px-3 py-1 rounded-md text-sm text-white bg-red-500 hover:bg-red-600"
+                  >
+                    מחק
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {recoverableSessions.length > 0 && !isRecording && (
+          <div className="bg-yellow-50 border border-yellow-400 text-yellow-900 px-4 py-3 rounded mb-4 text-right" dir="rtl">
+            <p className="font-bold mb-2">נמצאו הקלטות שלא נשמרו בשרת:</p>
+            <ul className="space-y-2">
+              {recoverableSessions.map(session => (
+                <li key={session.sessionId} className="flex items-center justify-between gap-2">
+                  <span>
+                    {new Date(session.startedAt).toLocaleString('he-IL')} · {session.source === 'checkpoint'
+                      ? 'גיבוי אחרון בשרת'
+                      : `${session.segmentCount} קטעי תמלול`}
+                  </span>
+                  <span className="flex gap-2">
+                    <button
+                      onClick={() => recoverSession(session.sessionId, session.source)}
+                      disabled={isRecoveringSession}
+                      className="px-3 py-1 rounded-md text-sm text-white bg-green-500 hover:bg-green-600 disabled:opacity-50"
+                    >
+                      {isRecoveringSession ? 'משחזר...' : 'שחזר והעלה'}
+                    </button>
+                    <button
+                      onClick={() => discardRecoverableSession(session.sessionId)}
+                      disabled={isRecoveringSession}
+                      className="px-3 py-1 rounded-md text-sm text-white bg-red-500 hover:bg-red-600 disabled:opacity-50"
+                    >
+                      מחק
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <TranscriptionConfig
           language={language}
           setLanguage={setLanguage}
-          disabled={isRecording || isProcessing || uploadingFile}
+          recordingFormat={recordingFormat}
+          setRecordingFormat={setRecordingFormat}
+          numberOfParticipants={numberOfParticipants}
+          setNumberOfParticipants={setNumberOfParticipants}
+          deviceId={deviceId}
+          setDeviceId={setDeviceId}
+          vadSensitivity={vadSensitivity}
+          setVadSensitivity={setVadSensitivity}
+          vocabularySettings={vocabularySettings}
+          setVocabularySettings={setVocabularySettings}
+          transcriptionMode={transcriptionMode}
+          setTranscriptionMode={setTranscriptionMode}
+          voiceCommands={voiceCommands}
+          setVoiceCommands={setVoiceCommands}
+          autoStopSettings={autoStopSettings}
+          setAutoStopSettings={setAutoStopSettings}
+          checkpointAudio={checkpointAudio}
+          setCheckpointAudio={setCheckpointAudio}
+          normalizeUploads={normalizeUploads}
+          setNormalizeUploads={setNormalizeUploads}
+          disabled={isRecording || isProcessing}
         />
 
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 bg-gray-50 p-4 rounded-lg mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4 bg-gray-50 p-4 rounded-lg mb-6">
           <button
             onClick={startRecording}
-            disabled={isRecording || isProcessing || uploadingFile}
+            disabled={isRecording || isProcessing}
             className="btn-primary relative"
           >
             {isProcessing ? (
@@ -604,6 +1413,13 @@ const MedicalTranscription = () => {
               'התחל הקלטה ▶️'
             )}
           </button>
+          <button
+            onClick={isPaused ? resumeRecording : pauseRecording}
+            disabled={!isRecording}
+            className="btn-primary"
+          >
+            {isPaused ? 'המשך הקלטה ⏯️' : 'השהה הקלטה ⏸️'}
+          </button>
           <button
             onClick={stopRecording}
             disabled={!isRecording}
@@ -613,6 +1429,7 @@ const MedicalTranscription = () => {
           </button>
           <button
             onClick={clearTranscription}
+            disabled={isRecording || isProcessing}
             className="btn-primary"
           >
             תמלול חדש 🗑️
@@ -622,41 +1439,81 @@ const MedicalTranscription = () => {
               type="file"
               ref={fileInputRef}
               onChange={handleFileSelect}
-              accept="audio/*"
+              accept={ACCEPTED_MEDIA}
+              multiple
               className="hidden"
               id="file-upload"
             />
             <label
               htmlFor="file-upload"
-              className={`btn-primary w-full flex items-center justify-center cursor-pointer ${
-                uploadingFile ? 'opacity-50 cursor-not-allowed' : ''
-              }`}
+              className="btn-primary w-full flex items-center justify-center cursor-pointer"
             >
-              {uploadingFile ? (
-                <span className="flex items-center">
-                  <svg className="animate-spin h-5 w-5 mr-3" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" 
-                      stroke="currentColor" strokeWidth="4" fill="none" />
-                    <path className="opacity-75" fill="currentColor"
-                      d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0
-                        12h4zm2 5.291A7.962 7.962 0 014 12H0c0 
-                        3.042 1.135 5.824 3 7.938l3-2.647z" />
-                  </svg>
-                  מעלה...
-                </span>
-              ) : (
-                'העלאת קובץ 📁'
-              )}
+              {activeUploads > 0 ? `העלאת קבצים 📁 (${activeUploads} בתהליך)` : 'העלאת קבצים 📁'}
             </label>
             {selectedFileName && (
               <p className="text-sm text-gray-600 mt-2 text-right break-words">
                 {selectedFileName}
               </p>
             )}
+            {extractingFileName && (
+              <p className="text-sm text-blue-600 mt-2 text-right break-words">
+                מחלץ שמע מהקובץ {extractingFileName}...
+              </p>
+            )}
           </div>
         </div>
 
-        {isRecording && (
+        {isRecording && isPaused && (
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4 text-right">
+            ההקלטה מושהית. לחץ "המשך הקלטה" כדי להמשיך באותו מפגש.
+          </div>
+        )}
+
+        {isRecording && isReconnecting && (
+          <div className="bg-orange-100 border border-orange-400 text-orange-800 px-4 py-3 rounded mb-4 text-right flex items-center justify-end gap-2">
+            החיבור לשירות התמלול נותק, מתחבר מחדש... ההקלטה נמשכת והשמע יתומלל לאחר החיבור.
+            <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10"
+                stroke="currentColor" strokeWidth="4" fill="none" />
+              <path className="opacity-75" fill="currentColor"
+                d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2
+                  5.291A7.962 7.962 0 014 12H0c0 3.042 1.135
+                  5.824 3 7.938l3-2.647z" />
+            </svg>
+          </div>
+        )}
+
+        {isRecording && autoStopWarning && (
+          <div className="bg-orange-100 border border-orange-400 text-orange-800 px-4 py-3 rounded mb-4 text-right flex justify-between items-center" role="alert" dir="rtl">
+            <span>
+              {AUTO_STOP_REASONS[autoStopWarning.reason]}. ההקלטה תיעצר ותישמר בעוד {autoStopWarning.secondsLeft} שניות.
+            </span>
+            {autoStopWarning.reason === 'silence' && (
+              <button
+                onClick={() => autoStopRef.current?.extend()}
+                className="px-3 py-1 rounded-md text-sm text-white bg-orange-500 hover:bg-orange-600"
+              >
+                המשך הקלטה
+              </button>
+            )}
+          </div>
+        )}
+
+        {!isRecording && autoStopReason && (
+          <div className="bg-blue-100 border border-blue-400 text-blue-800 px-4 py-3 rounded mb-4 text-right">
+            ההקלטה נעצרה ונשמרה אוטומטית: {AUTO_STOP_REASONS[autoStopReason]}.
+          </div>
+        )}
+
+        {isRecording && !isPaused && inputWarnings.length > 0 && (
+          <div className="bg-red-50 border border-red-300 text-red-800 px-4 py-3 rounded mb-4 text-right" role="alert">
+            {inputWarnings.map(warning => (
+              <p key={warning}>⚠️ {INPUT_WARNINGS[warning]}</p>
+            ))}
+          </div>
+        )}
+
+        {isRecording && !isPaused && (
           <div className="mb-4">
             <div className="w-full bg-gray-200 rounded-full h-2.5">
               <div
@@ -674,11 +1531,12 @@ const MedicalTranscription = () => {
           <AudioPlayer
             sessionId={sessionId}
             recordingType={selectedFileName ? 'upload' : 'recording'}
+            seekRequest={seekRequest}
           />
         )}
 
         {/* AI Processing Controls */}
-        <div className="grid grid-cols-3 gap-4 mb-6">
+        <div className="grid grid-cols-5 gap-4 mb-6">
           <button
             onClick={handleCleanText}
             disabled={!transcription || isProcessingAI}
@@ -723,11 +1581,45 @@ const MedicalTranscription = () => {
             )}
           </button>
           <DictionaryEditor />
+          <SessionHistory
+            activeSessionId={sessionId}
+            onOpen={openSession}
+            disabled={isRecording || isProcessing}
+          />
+          <SearchPanel
+            onOpen={openSearchResult}
+            disabled={isRecording || isProcessing}
+          />
         </div>
 
         <div className="space-y-4">
+          <EncounterForm
+            encounter={encounter}
+            setEncounter={setEncounter}
+            onSave={saveEncounter}
+            disabled={isProcessing}
+          />
+
           {/* Existing text display for the full transcript */}
-          <TextDisplay text={transcription} sessionId={sessionId} />
+          {(sessionId || transcription) && (
+            <SpeakerNames
+              speakers={speakers}
+              speakerNames={speakerNames}
+              setSpeakerNames={setSpeakerNames}
+              onSave={saveSpeakerNames}
+            />
+          )}
+
+          <TextDisplay
+            text={transcription}
+            segments={transcriptSegments}
+            sessionId={sessionId}
+            speakerNames={speakerNames}
+            encounter={encounter}
+            language={resolveSessionLanguage(language, transcriptSegments)}
+            onSeek={time => setSeekRequest({ time })}
+            focusRequest={textFocusRequest}
+          />
 
           {/* -- New editable summary area (visible once summary is generated) -- */}
           {editedSummary && (
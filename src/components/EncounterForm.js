@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { ENCOUNTER_FIELDS, ENCOUNTER_TYPES, parseTags } from '../services/EncounterDetails';
+
+const LABELS = Object.fromEntries(ENCOUNTER_FIELDS.map(({ key, label }) => [key, label]));
+const inputClassName = 'w-full rounded-md border border-gray-300 py-1 px-2 text-right disabled:opacity-50';
+
+const EncounterForm = ({ encounter, setEncounter, onSave, disabled }) => {
+  // Tags are typed as comma-separated text and parsed when the field is left
+  const [tagsText, setTagsText] = useState(encounter.tags.join(', '));
+
+  useEffect(() => {
+    setTagsText(encounter.tags.join(', '));
+  }, [encounter.tags]);
+
+  const handleChange = (key, value) => {
+    setEncounter({ ...encounter, [key]: value });
+  };
+
+  const saveTags = () => {
+    const updated = { ...encounter, tags: parseTags(tagsText) };
+    setEncounter(updated);
+    onSave(updated);
+  };
+
+  const field = (key, props = {}) => (
+    <label className="block text-sm text-gray-600">
+      {LABELS[key]}
+      <input
+        type="text"
+        value={encounter[key]}
+        onChange={(e) => handleChange(key, e.target.value)}
+        onBlur={() => onSave(encounter)}
+        disabled={disabled}
+        className={inputClassName}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-sm mb-4 border border-blue-200" dir="rtl">
+      <label className="block text-sm font-medium text-gray-700 text-right mb-2">
+        פרטי המפגש
+      </label>
+      <datalist id="encounter-types">
+        {ENCOUNTER_TYPES.map(type => (
+          <option key={type} value={type} />
+        ))}
+      </datalist>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+        {field('patientId', { dir: 'ltr' })}
+        {field('clinician')}
+        {field('department')}
+        {field('encounterType', { list: 'encounter-types' })}
+        <label className="block text-sm text-gray-600 md:col-span-2">
+          {LABELS.tags} (מופרדות בפסיק)
+          <input
+            type="text"
+            value={tagsText}
+            onChange={(e) => setTagsText(e.target.value)}
+            onBlur={saveTags}
+            disabled={disabled}
+            className={inputClassName}
+          />
+        </label>
+        <label className="block text-sm text-gray-600 md:col-span-3">
+          {LABELS.notes}
+          <textarea
+            rows={2}
+            value={encounter.notes}
+            onChange={(e) => handleChange('notes', e.target.value)}
+            onBlur={() => onSave(encounter)}
+            disabled={disabled}
+            className={inputClassName}
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default EncounterForm;
@@ -0,0 +1,120 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+const TEST_DURATION_MS = 5000;
+
+const MicrophoneTest = ({ deviceId, disabled, onPermissionGranted }) => {
+  const [isTesting, setIsTesting] = useState(false);
+  const [level, setLevel] = useState(0);
+  const [result, setResult] = useState('');
+  const cleanupRef = useRef(null);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      cleanupRef.current?.();
+    };
+  }, []);
+
+  const runTest = async () => {
+    setResult('');
+    setIsTesting(true);
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: deviceId ? { deviceId: { exact: deviceId } } : true
+      });
+      if (!mountedRef.current) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      onPermissionGranted?.();
+
+      const context = new AudioContext();
+      const analyser = context.createAnalyser();
+      analyser.fftSize = 2048;
+      context.createMediaStreamSource(stream).connect(analyser);
+
+      const samples = new Float32Array(analyser.fftSize);
+      let maxRms = 0;
+      let clippedFrames = 0;
+      let animationFrame;
+
+      const measure = () => {
+        analyser.getFloatTimeDomainData(samples);
+        let sum = 0;
+        let peak = 0;
+        for (const sample of samples) {
+          sum += sample * sample;
+          peak = Math.max(peak, Math.abs(sample));
+        }
+        const rms = Math.sqrt(sum / samples.length);
+        maxRms = Math.max(maxRms, rms);
+        if (peak >= 0.99) clippedFrames++;
+
+        setLevel(Math.min(100, rms * 400));
+        animationFrame = requestAnimationFrame(measure);
+      };
+      measure();
+
+      // Runs once, whether the test ends or the component unmounts first
+      let released = false;
+      const cleanup = () => {
+        if (released) return;
+        released = true;
+        cancelAnimationFrame(animationFrame);
+        stream.getTracks().forEach(track => track.stop());
+        context.close().catch(error => console.error('Error closing test audio context:', error));
+        cleanupRef.current = null;
+      };
+      cleanupRef.current = cleanup;
+
+      await new Promise(resolve => setTimeout(resolve, TEST_DURATION_MS));
+      cleanup();
+      if (!mountedRef.current) return;
+
+      if (maxRms < 0.01) {
+        setResult('לא נקלט קול. בדוק שהמיקרופון מחובר ואינו מושתק.');
+      } else if (clippedFrames > 5) {
+        setResult('העוצמה גבוהה מדי והקול נחתך. הנמך את עוצמת המיקרופון.');
+      } else {
+        setResult('המיקרופון תקין ✓');
+      }
+    } catch (error) {
+      console.error('Microphone test error:', error);
+      if (mountedRef.current) {
+        setResult('לא ניתן לגשת למיקרופון: ' + error.message);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setLevel(0);
+        setIsTesting(false);
+      }
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <button
+        type="button"
+        onClick={runTest}
+        disabled={disabled || isTesting}
+        className="px-3 py-2 rounded-md text-sm text-white bg-blue-500 hover:bg-blue-600 disabled:opacity-50 w-full"
+      >
+        {isTesting ? 'דבר עכשיו...' : 'בדיקת מיקרופון 🎙️'}
+      </button>
+      {isTesting && (
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div
+            className="bg-green-500 h-2 rounded-full transition-all duration-100"
+            style={{ width: `${level}%` }}
+          />
+        </div>
+      )}
+      {result && <p className="text-sm text-gray-600 text-right">{result}</p>}
+    </div>
+  );
+};
+
+export default MicrophoneTest;
@@ -0,0 +1,93 @@
+import React from 'react';
+
+const formatMegabytes = (bytes) => (bytes / 1048576).toFixed(1);
+
+const formatDuration = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+
+/**
+ * Shows what preprocessing did to each file before anything is uploaded.
+ * results are prepareMediaFile results, or { originalFile, error, isVideo }
+ * for files that couldn't be processed (audio then goes up as it is).
+ */
+const NormalizeUploadDialog = ({ results, isProcessing, onUploadNormalized, onUploadOriginal, onCancel }) => {
+  const processed = results.filter(result => !result.error);
+  const originalTotal = results.reduce((sum, result) => sum + result.originalFile.size, 0);
+  const normalizedTotal = results.reduce((sum, result) => sum + (result.error ? result.originalFile.size : result.size), 0);
+  const savedPercent = originalTotal > 0 ? Math.round((1 - normalizedTotal / originalTotal) * 100) : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[90vh] flex flex-col text-right" dir="rtl">
+        <h3 className="text-lg font-medium mb-4">עיבוד קבצים לפני העלאה</h3>
+
+        <div className="overflow-auto flex-1">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-500 border-b">
+                <th className="py-1 text-right">קובץ</th>
+                <th className="py-1 text-right">לפני</th>
+                <th className="py-1 text-right">אחרי</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(result => (
+                <tr key={result.originalFile.name} className="border-b border-gray-100">
+                  <td className="py-1 break-all">{result.originalFile.name}</td>
+                  <td className="py-1 whitespace-nowrap">
+                    {formatMegabytes(result.originalFile.size)} MB
+                    {!result.error && ` · ${formatDuration(result.originalDuration)}`}
+                  </td>
+                  <td className="py-1 whitespace-nowrap">
+                    {result.error
+                      ? (
+                        <span className="text-red-600">
+                          {result.isVideo ? 'לא ניתן לחלץ שמע, הקובץ לא יועלה' : 'לא ניתן לעבד, יועלה כפי שהוא'}
+                        </span>
+                      )
+                      : `${formatMegabytes(result.size)} MB · ${formatDuration(result.duration)}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {isProcessing && (
+            <p className="text-gray-600 mt-3">מעבד קבצים ({results.length} הושלמו)...</p>
+          )}
+        </div>
+
+        {!isProcessing && (
+          <p className="mt-4 font-medium">
+            סה"כ {formatMegabytes(originalTotal)} MB ← {formatMegabytes(normalizedTotal)} MB
+            {savedPercent > 0 && ` (חיסכון של ${savedPercent}%)`}
+          </p>
+        )}
+        <div className="flex gap-2 mt-4">
+          <button
+            onClick={onUploadNormalized}
+            disabled={isProcessing || processed.length === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            העלה קבצים מעובדים
+          </button>
+          <button
+            onClick={onUploadOriginal}
+            disabled={isProcessing}
+            className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 disabled:opacity-50"
+          >
+            העלה קבצים מקוריים
+          </button>
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-100"
+          >
+            ביטול
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NormalizeUploadDialog;
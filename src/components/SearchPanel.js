@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import SearchIndex from '../services/SearchIndex';
+import { ARTIFACT_NAMES } from '../services/SessionHistory';
+
+const FIELD_NAMES = { ...ARTIFACT_NAMES, metadata: 'פרטי המפגש' };
+
+// Snippet text with the matched words in <mark>
+const Snippet = ({ snippet }) => {
+  const parts = [];
+  let position = 0;
+  snippet.highlights.forEach(([start, end]) => {
+    if (start < position) return;
+    parts.push(snippet.text.slice(position, start));
+    parts.push(<mark key={start} className="bg-yellow-200 rounded px-0.5">{snippet.text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(snippet.text.slice(position));
+
+  return <p className="text-sm text-gray-800">{snippet.prefix}{parts}{snippet.suffix}</p>;
+};
+
+const SearchPanel = ({ onOpen, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  // Bumped whenever the index changes, so results are worked out again
+  const [indexVersion, setIndexVersion] = useState(0);
+
+  const refresh = useCallback(async () => {
+    setError('');
+    try {
+      await SearchIndex.load();
+      setIndexVersion(version => version + 1);
+      await SearchIndex.refresh({ onProgress: setProgress });
+      setIndexVersion(version => version + 1);
+    } catch (error) {
+      console.error('Error updating search index:', error);
+      setError('Failed to update search index: ' + error.message);
+    } finally {
+      setProgress(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  const results = useMemo(
+    () => (indexVersion > 0 ? SearchIndex.search(query) : []),
+    [query, indexVersion]
+  );
+
+  const openResult = (result) => {
+    setIsOpen(false);
+    onOpen(result);
+  };
+
+  if (!isOpen) {
+    return (
+      <button onClick={() => setIsOpen(true)} disabled={disabled} className="btn-primary w-full">
+        חיפוש במפגשים 🔍
+      </button>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-4xl h-[90vh] flex flex-col text-right" dir="rtl">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium">חיפוש במפגשים</h3>
+          <button onClick={() => setIsOpen(false)} className="px-3 py-1 rounded-md text-sm hover:bg-gray-100">
+            סגירה ✕
+          </button>
+        </div>
+
+        <input
+          type="search"
+          autoFocus
+          placeholder="מילים לחיפוש בתמלולים, בסיכומים ובפרטי המפגשים..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="w-full rounded-md border border-gray-300 py-2 px-3 mb-2"
+        />
+
+        <p className="text-sm text-gray-500 mb-4">
+          {progress
+            ? `מעדכן את האינדקס... ${progress.done}/${progress.total}`
+            : `${SearchIndex.documents.size} מסמכים באינדקס`}
+        </p>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        <div className="flex-1 overflow-auto space-y-2">
+          {results.map(result => (
+            <button
+              key={result.key}
+              onClick={() => openResult(result)}
+              className="block w-full text-right p-3 rounded-md border border-gray-200 hover:bg-blue-50"
+            >
+              <div className="flex justify-between text-xs text-gray-500 mb-1">
+                <span>
+                  {FIELD_NAMES[result.field]}
+                  {result.title && ` · ${result.title}`}
+                </span>
+                <span>
+                  {new Date(result.lastModified).toLocaleDateString('he-IL')}
+                  <span className="mr-2" dir="ltr">{result.sessionId.slice(0, 8)}</span>
+                </span>
+              </div>
+              <Snippet snippet={result.snippet} />
+            </button>
+          ))}
+
+          {query.trim() && results.length === 0 && !progress && (
+            <p className="text-center text-gray-500 py-8">לא נמצאו תוצאות</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import S3Service from '../services/S3Service';
+import {
+  ARTIFACT_NAMES,
+  SOURCE_NAMES,
+  listSessions,
+  filterSessions,
+  getSessionDuration
+} from '../services/SessionHistory';
+import { formatEncounterTitle } from '../services/EncounterDetails';
+
+const PAGE_SIZE = 20;
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+const SessionHistory = ({ activeSessionId, onOpen, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [filters, setFilters] = useState({ source: '', from: '', to: '', artifact: '', query: '' });
+  const [page, setPage] = useState(0);
+  // Session manifests of rows already shown, by session ID, for their titles;
+  // read again on every refresh since they're edited after the session
+  const [metadata, setMetadata] = useState({});
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    setError('');
+    setMetadata({});
+    try {
+      setSessions(await listSessions());
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      setError('Failed to load session history: ' + error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen, refresh]);
+
+  const filtered = filterSessions(sessions, filters);
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const pageSessions = filtered.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+  const pageKey = pageSessions.map(session => session.sessionId).join(',');
+
+  // Manifests are read for the visible page only
+  useEffect(() => {
+    const missing = pageKey.split(',').filter(id => id && !(id in metadata));
+    if (missing.length === 0) return;
+
+    // Reads overtaken by a refresh or another page are dropped
+    let current = true;
+    Promise.all(missing.map(id => S3Service.getSessionMetadata(id).catch(() => ({}))))
+      .then(results => current && setMetadata(existing => ({
+        ...existing,
+        ...Object.fromEntries(missing.map((id, i) => [id, results[i]]))
+      })));
+    return () => {
+      current = false;
+    };
+  }, [pageKey, metadata]);
+
+  const updateFilter = (name, value) => {
+    setFilters({ ...filters, [name]: value });
+    setPage(0);
+  };
+
+  const openSession = (session) => {
+    setIsOpen(false);
+    onOpen(session.sessionId, { source: session.source });
+  };
+
+  if (!isOpen) {
+    return (
+      <button onClick={() => setIsOpen(true)} disabled={disabled} className="btn-primary w-full">
+        היסטוריית מפגשים 🗂️
+      </button>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-6xl h-[90vh] flex flex-col text-right" dir="rtl">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium">היסטוריית מפגשים</h3>
+          <div className="flex gap-2">
+            <button
+              onClick={refresh}
+              disabled={isLoading}
+              className="px-3 py-1 rounded-md text-sm text-white bg-blue-500 hover:bg-blue-600 disabled:opacity-50"
+            >
+              {isLoading ? 'טוען...' : 'רענון'}
+            </button>
+            <button onClick={() => setIsOpen(false)} className="px-3 py-1 rounded-md text-sm hover:bg-gray-100">
+              סגירה ✕
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-4 text-sm">
+          <select
+            value={filters.source}
+            onChange={(e) => updateFilter('source', e.target.value)}
+            className="rounded-md border border-gray-300 py-1 px-2"
+          >
+            <option value="">כל המקורות</option>
+            {Object.entries(SOURCE_NAMES).map(([value, name]) => (
+              <option key={value} value={value}>{name}</option>
+            ))}
+          </select>
+          <select
+            value={filters.artifact}
+            onChange={(e) => updateFilter('artifact', e.target.value)}
+            className="rounded-md border border-gray-300 py-1 px-2"
+          >
+            <option value="">כל המפגשים</option>
+            {Object.entries(ARTIFACT_NAMES).map(([value, name]) => (
+              <option key={value} value={value}>עם {name}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1">
+            מ-
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className="flex-1 rounded-md border border-gray-300 py-1 px-2"
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            עד
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className="flex-1 rounded-md border border-gray-300 py-1 px-2"
+            />
+          </label>
+          <input
+            type="text"
+            placeholder="מזהה מפגש..."
+            value={filters.query}
+            onChange={(e) => updateFilter('query', e.target.value)}
+            className="rounded-md border border-gray-300 py-1 px-2"
+            dir="ltr"
+          />
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        <div className="flex-1 overflow-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-500 border-b">
+                <th className="py-2 text-right">תאריך</th>
+                <th className="py-2 text-right">מפגש</th>
+                <th className="py-2 text-right">מקור</th>
+                <th className="py-2 text-right">משך</th>
+                <th className="py-2 text-right">קבצים</th>
+                <th className="py-2 text-right">מזהה</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pageSessions.map(session => {
+                const meta = metadata[session.sessionId];
+                return (
+                  <tr
+                    key={session.sessionId}
+                    className={`border-b border-gray-100 ${session.sessionId === activeSessionId ? 'bg-blue-50' : ''}`}
+                  >
+                    <td className="py-2 whitespace-nowrap">{new Date(session.createdAt).toLocaleString('he-IL')}</td>
+                    <td className="py-2">
+                      {formatEncounterTitle(meta?.encounter) || '—'}
+                    </td>
+                    <td className="py-2">
+                      {SOURCE_NAMES[meta?.source || session.source] || '—'}
+                      {meta?.originalFile?.name && (
+                        <span className="block text-xs text-gray-500 break-all">{meta.originalFile.name}</span>
+                      )}
+                    </td>
+                    <td className="py-2">{meta ? formatDuration(getSessionDuration(meta)) : '...'}</td>
+                    <td className="py-2">
+                      {Object.keys(ARTIFACT_NAMES)
+                        .filter(artifact => session.artifacts[artifact])
+                        .map(artifact => ARTIFACT_NAMES[artifact])
+                        .join(', ')}
+                    </td>
+                    <td className="py-2 text-xs text-gray-500" dir="ltr">{session.sessionId.slice(0, 8)}</td>
+                    <td className="py-2">
+                      <button
+                        onClick={() => openSession(session)}
+                        disabled={!session.artifacts.transcription}
+                        title={session.artifacts.transcription ? '' : 'אין תמלול למפגש זה'}
+                        className="px-3 py-1 rounded-md text-white bg-green-500 hover:bg-green-600 disabled:opacity-50"
+                      >
+                        פתח
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {!isLoading && filtered.length === 0 && (
+            <p className="text-center text-gray-500 py-8">לא נמצאו מפגשים</p>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between mt-4 text-sm">
+          <span className="text-gray-600">{filtered.length} מפגשים</span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page === 0}
+              className="px-3 py-1 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              הקודם
+            </button>
+            <span>עמוד {page + 1} מתוך {pageCount}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page + 1 >= pageCount}
+              className="px-3 py-1 rounded-md border border-gray-300 disabled:opacity-50"
+            >
+              הבא
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionHistory;
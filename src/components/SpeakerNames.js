@@ -0,0 +1,48 @@
+import React from 'react';
+import { SPEAKER_ROLES } from '../services/SpeakerLabels';
+
+const SpeakerNames = ({
+  speakers,
+  speakerNames,
+  setSpeakerNames,
+  onSave,
+  disabled
+}) => {
+  if (speakers.length === 0) return null;
+
+  const handleChange = (speaker, name) => {
+    setSpeakerNames({ ...speakerNames, [speaker]: name });
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-sm mb-4 border border-blue-200" dir="rtl">
+      <label className="block text-sm font-medium text-gray-700 text-right mb-2">
+        שמות ותפקידי דוברים
+      </label>
+      <datalist id="speaker-roles">
+        {SPEAKER_ROLES.map(role => (
+          <option key={role} value={role} />
+        ))}
+      </datalist>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+        {speakers.map(speaker => (
+          <div key={speaker} className="flex items-center gap-2">
+            <span className="text-sm text-gray-600 whitespace-nowrap">דובר {speaker}:</span>
+            <input
+              type="text"
+              list="speaker-roles"
+              placeholder="שם או תפקיד"
+              value={speakerNames[speaker] || ''}
+              onChange={(e) => handleChange(speaker, e.target.value)}
+              onBlur={onSave}
+              disabled={disabled}
+              className="flex-1 rounded-md border border-gray-300 py-1 px-2 text-right disabled:opacity-50"
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SpeakerNames;
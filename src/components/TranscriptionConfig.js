@@ -1,36 +1,270 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { RECORDING_FORMATS } from '../services/AudioEncoder';
+import MicrophoneTest from './MicrophoneTest';
+import VocabularyConfig from './VocabularyConfig';
+import VoiceCommandSettings from './VoiceCommandSettings';
+import { LANGUAGES, AUTO_DETECT } from '../services/Languages';
 
-const TranscriptionConfig = ({ 
-  language, 
+const TranscriptionConfig = ({
+  language,
   setLanguage,
-  disabled 
+  recordingFormat,
+  setRecordingFormat,
+  numberOfParticipants,
+  setNumberOfParticipants,
+  deviceId,
+  setDeviceId,
+  vadSensitivity,
+  setVadSensitivity,
+  vocabularySettings,
+  setVocabularySettings,
+  transcriptionMode,
+  setTranscriptionMode,
+  voiceCommands,
+  setVoiceCommands,
+  autoStopSettings,
+  setAutoStopSettings,
+  checkpointAudio,
+  setCheckpointAudio,
+  normalizeUploads,
+  setNormalizeUploads,
+  disabled
 }) => {
+  const [devices, setDevices] = useState([]);
+
+  const refreshDevices = useCallback(async () => {
+    try {
+      const allDevices = await navigator.mediaDevices.enumerateDevices();
+      const inputs = allDevices.filter(device => device.kind === 'audioinput');
+      setDevices(inputs);
+
+      // Fall back to the default device when the selected one is unplugged.
+      // Before mic permission some browsers list devices without labels or
+      // real IDs, so the saved choice can't be checked yet.
+      const hasPermission = inputs.some(device => device.label);
+      if (hasPermission && deviceId && !inputs.some(device => device.deviceId === deviceId)) {
+        setDeviceId('');
+      }
+    } catch (error) {
+      console.error('Error listing audio devices:', error);
+    }
+  }, [deviceId, setDeviceId]);
+
+  useEffect(() => {
+    refreshDevices();
+    navigator.mediaDevices.addEventListener('devicechange', refreshDevices);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refreshDevices);
+  }, [refreshDevices]);
+
   const languages = [
-    { code: 'he-IL', name: 'עברית' }
-    // { code: 'en-US', name: 'English' },
-    // { code: 'ar-AE', name: 'العربية' },
-    // { code: 'ru-RU', name: 'Русский' }
+    ...Object.entries(LANGUAGES).map(([code, { name }]) => ({ code, name })),
+    { code: AUTO_DETECT, name: 'זיהוי אוטומטי' }
+  ];
+
+  const participantCounts = [1, 2, 3, 4, 5, 6];
+
+  const modes = [
+    { value: 'conversation', name: 'שיחה (מספר דוברים)' },
+    { value: 'dictation', name: 'הכתבה' }
+  ];
+
+  // Matches the presets in public/audio-processor.js
+  const vadSensitivities = [
+    { value: 'low', name: 'נמוכה (סביבה רועשת)' },
+    { value: 'medium', name: 'בינונית' },
+    { value: 'high', name: 'גבוהה (דיבור שקט)' }
   ];
 
   return (
     <div className="bg-white p-4 rounded-lg shadow-sm mb-4 border border-blue-200">
-      <div className="space-y-2">
-        <label className="block text-sm font-medium text-gray-700 text-right">
-          שפה
-        </label>
-        <select
-          value={language}
-          onChange={(e) => setLanguage(e.target.value)}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4" dir="rtl">
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700 text-right">
+            שפה
+          </label>
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            disabled={disabled}
+            className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+            dir="rtl"
+          >
+            {languages.map(lang => (
+              <option key={lang.code} value={lang.code}>
+                {lang.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700 text-right">
+            מצב הקלטה
+          </label>
+          <select
+            value={transcriptionMode}
+            onChange={(e) => setTranscriptionMode(e.target.value)}
+            disabled={disabled}
+            className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+            dir="rtl"
+          >
+            {modes.map(({ value, name }) => (
+              <option key={value} value={value}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <VocabularyConfig
+          language={language}
+          vocabularySettings={vocabularySettings}
+          setVocabularySettings={setVocabularySettings}
           disabled={disabled}
-          className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
-          dir="rtl"
-        >
-          {languages.map(lang => (
-            <option key={lang.code} value={lang.code}>
-              {lang.name}
-            </option>
-          ))}
-        </select>
+        />
+
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700 text-right">
+            מספר דוברים
+          </label>
+          <select
+            value={numberOfParticipants}
+            onChange={(e) => setNumberOfParticipants(Number(e.target.value))}
+            disabled={disabled || transcriptionMode === 'dictation'}
+            className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+            dir="rtl"
+          >
+            {participantCounts.map(count => (
+              <option key={count} value={count}>
+                {count}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700 text-right">
+            פורמט שמירת הקלטה
+          </label>
+          <select
+            value={recordingFormat}
+            onChange={(e) => setRecordingFormat(e.target.value)}
+            disabled={disabled}
+            className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+            dir="rtl"
+          >
+            {Object.entries(RECORDING_FORMATS).map(([format, { name }]) => (
+              <option key={format} value={format}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700 text-right">
+            רגישות זיהוי דיבור
+          </label>
+          <select
+            value={vadSensitivity}
+            onChange={(e) => setVadSensitivity(e.target.value)}
+            disabled={disabled}
+            className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+            dir="rtl"
+          >
+            {vadSensitivities.map(({ value, name }) => (
+              <option key={value} value={value}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700 text-right">
+            מיקרופון
+          </label>
+          <select
+            value={deviceId}
+            onChange={(e) => setDeviceId(e.target.value)}
+            disabled={disabled}
+            className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+            dir="rtl"
+          >
+            <option value="">ברירת המחדל של המערכת</option>
+            {devices
+              .filter(device => device.deviceId && device.deviceId !== 'default')
+              .map((device, index) => (
+                <option key={device.deviceId} value={device.deviceId}>
+                  {device.label || `מיקרופון ${index + 1}`}
+                </option>
+              ))}
+          </select>
+        </div>
+
+        <div className="space-y-2 flex flex-col justify-end">
+          <MicrophoneTest
+            deviceId={deviceId}
+            disabled={disabled}
+            onPermissionGranted={refreshDevices}
+          />
+        </div>
+
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700 text-right">
+            עצירה אחרי דקות שקט (0 = ללא)
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={autoStopSettings.silenceMinutes}
+            onChange={(e) => setAutoStopSettings({ ...autoStopSettings, silenceMinutes: Math.max(0, Number(e.target.value)) })}
+            disabled={disabled}
+            className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+          />
+        </div>
+
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-gray-700 text-right">
+            אורך הקלטה מרבי בדקות (0 = ללא)
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={autoStopSettings.maxMinutes}
+            onChange={(e) => setAutoStopSettings({ ...autoStopSettings, maxMinutes: Math.max(0, Number(e.target.value)) })}
+            disabled={disabled}
+            className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+          />
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 text-right md:col-span-3">
+          <input
+            type="checkbox"
+            checked={checkpointAudio}
+            onChange={(e) => setCheckpointAudio(e.target.checked)}
+            disabled={disabled}
+          />
+          גיבוי קטעי שמע לשרת במהלך ההקלטה (התמלול מגובה תמיד)
+        </label>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 text-right md:col-span-3">
+          <input
+            type="checkbox"
+            checked={normalizeUploads}
+            onChange={(e) => setNormalizeUploads(e.target.checked)}
+            disabled={disabled}
+          />
+          עיבוד קבצים לפני העלאה: מונו 16kHz, הסרת שקט בהתחלה ובסוף, איזון עוצמה ודחיסה ל-FLAC
+        </label>
+
+        {transcriptionMode === 'dictation' && (
+          <VoiceCommandSettings
+            voiceCommands={voiceCommands}
+            setVoiceCommands={setVoiceCommands}
+            disabled={disabled}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,124 @@
+import React from 'react';
+import { QUEUE_STATUS } from '../services/UploadQueue';
+import { JOB_STATUS } from '../services/TranscribeJobService';
+
+const STATUS_COLORS = {
+  queued: 'text-gray-500',
+  uploading: 'text-blue-600',
+  paused: 'text-yellow-600',
+  transcribing: 'text-purple-600',
+  done: 'text-green-600',
+  failed: 'text-red-600',
+  cancelled: 'text-gray-400'
+};
+
+const formatMegabytes = (bytes) => (bytes / 1048576).toFixed(1);
+
+const UploadQueuePanel = ({
+  items,
+  activeSessionId,
+  onOpen,
+  onPause,
+  onResume,
+  onCancel,
+  onRetryTracking,
+  onClearFinished
+}) => {
+  if (items.length === 0) return null;
+
+  const hasFinished = items.some(item => ['done', 'failed', 'cancelled'].includes(item.status));
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 mb-4 text-right" dir="rtl">
+      <div className="flex items-center justify-between mb-2">
+        <p className="font-bold text-gray-700">
+          תור העלאות ({items.filter(item => item.status === 'done').length}/{items.length} הושלמו)
+        </p>
+        {hasFinished && (
+          <button onClick={onClearFinished} className="text-sm text-blue-600 hover:underline">
+            נקה פריטים שהסתיימו
+          </button>
+        )}
+      </div>
+
+      <ul className="divide-y divide-gray-100">
+        {items.map(item => {
+          const percent = item.progress ? item.progress.loaded / item.progress.total * 100 : 0;
+          return (
+            <li
+              key={item.id}
+              onClick={() => item.status === 'done' && onOpen(item)}
+              className={`py-2 ${item.status === 'done' ? 'cursor-pointer hover:bg-gray-50' : ''} ${
+                item.sessionId === activeSessionId ? 'bg-blue-50' : ''
+              }`}
+            >
+              <div className="flex items-center justify-between gap-2 text-sm">
+                <span className="break-all">
+                  {item.fileName}
+                  <span className="text-gray-400 mr-2" dir="ltr">{item.sessionId.slice(0, 8)}</span>
+                </span>
+                <span className="flex items-center gap-2 whitespace-nowrap">
+                  <span className={STATUS_COLORS[item.status]}>
+                    {QUEUE_STATUS[item.status]}
+                    {['uploading', 'paused'].includes(item.status) && item.progress && ` ${Math.floor(percent)}%`}
+                    {item.status === 'transcribing' && item.jobStatus && ` · ${JOB_STATUS[item.jobStatus]}`}
+                  </span>
+                  {item.status === 'uploading' && (
+                    <button onClick={() => onPause(item.id)} className="text-blue-600 hover:underline">
+                      השהה
+                    </button>
+                  )}
+                  {item.status === 'paused' && (
+                    <button onClick={() => onResume(item.id)} className="text-blue-600 hover:underline">
+                      המשך
+                    </button>
+                  )}
+                  {item.status === 'failed' && !item.uploaded && (
+                    <button onClick={() => onResume(item.id)} className="text-blue-600 hover:underline">
+                      נסה שוב
+                    </button>
+                  )}
+                  {['queued', 'uploading', 'paused'].includes(item.status) && (
+                    <button onClick={() => onCancel(item.id)} className="text-red-600 hover:underline">
+                      בטל
+                    </button>
+                  )}
+                  {item.status === 'transcribing' && (
+                    <button onClick={() => onCancel(item.id)} className="text-red-600 hover:underline">
+                      הפסק מעקב
+                    </button>
+                  )}
+                  {item.uploaded && ['cancelled', 'failed'].includes(item.status) && (
+                    <button onClick={() => onRetryTracking(item.id)} className="text-blue-600 hover:underline">
+                      בדוק שוב
+                    </button>
+                  )}
+                </span>
+              </div>
+
+              {['uploading', 'paused'].includes(item.status) && item.progress && (
+                <div className="mt-1">
+                  <div className="w-full h-2 bg-gray-200 rounded">
+                    <div
+                      className={`h-2 rounded ${item.status === 'paused' ? 'bg-yellow-500' : 'bg-blue-500'}`}
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {formatMegabytes(item.progress.loaded)} / {formatMegabytes(item.progress.total)} MB
+                  </p>
+                </div>
+              )}
+
+              {item.error && (
+                <p className="text-xs text-red-600 mt-1">{item.error}</p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default UploadQueuePanel;
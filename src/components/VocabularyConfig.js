@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import VocabularyService from '../services/VocabularyService';
+import { LANGUAGES, isAutoDetect } from '../services/Languages';
+
+const filterMethods = [
+  { value: 'mask', name: 'הסתרה (***)' },
+  { value: 'remove', name: 'הסרה' },
+  { value: 'tag', name: 'סימון בלבד' }
+];
+
+const VocabularyConfig = ({
+  language,
+  vocabularySettings,
+  setVocabularySettings,
+  disabled
+}) => {
+  const [vocabularies, setVocabularies] = useState([]);
+  const [vocabularyFilters, setVocabularyFilters] = useState([]);
+  const [loadError, setLoadError] = useState('');
+
+  useEffect(() => {
+    Promise.all([
+      VocabularyService.listVocabularies(),
+      VocabularyService.listVocabularyFilters()
+    ])
+      .then(([vocabularyList, filterList]) => {
+        setVocabularies(vocabularyList);
+        setVocabularyFilters(filterList);
+      })
+      .catch(error => {
+        console.error('Error loading vocabularies:', error);
+        setLoadError('לא ניתן לטעון את רשימת המילונים. נעשה שימוש במילון ברירת המחדל.');
+      });
+  }, []);
+
+  if (isAutoDetect(language)) {
+    return (
+      <p className="text-sm text-gray-600 text-right md:col-span-3">
+        בזיהוי שפה אוטומטי נעשה שימוש במילון ובמסנן שנבחרו לכל שפה.
+      </p>
+    );
+  }
+
+  const settings = {
+    vocabularyName: LANGUAGES[language]?.vocabularyName || '',
+    vocabularyFilterName: '',
+    vocabularyFilterMethod: 'mask',
+    ...vocabularySettings[language]
+  };
+
+  const updateSettings = (changes) => {
+    setVocabularySettings({
+      ...vocabularySettings,
+      [language]: { ...settings, ...changes }
+    });
+  };
+
+  const languageVocabularies = vocabularies.filter(vocabulary => vocabulary.languageCode === language);
+  const languageFilters = vocabularyFilters.filter(filter => filter.languageCode === language);
+
+  // Keep the current choice listed even before the lists load or if it's gone
+  if (settings.vocabularyName && !languageVocabularies.some(({ name }) => name === settings.vocabularyName)) {
+    languageVocabularies.unshift({ name: settings.vocabularyName });
+  }
+  if (settings.vocabularyFilterName && !languageFilters.some(({ name }) => name === settings.vocabularyFilterName)) {
+    languageFilters.unshift({ name: settings.vocabularyFilterName });
+  }
+
+  return (
+    <>
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700 text-right">
+          מילון מונחים
+        </label>
+        <select
+          value={settings.vocabularyName}
+          onChange={(e) => updateSettings({ vocabularyName: e.target.value })}
+          disabled={disabled}
+          className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+          dir="rtl"
+        >
+          <option value="">ללא מילון</option>
+          {languageVocabularies.map(({ name }) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700 text-right">
+          מסנן מילים
+        </label>
+        <select
+          value={settings.vocabularyFilterName}
+          onChange={(e) => updateSettings({ vocabularyFilterName: e.target.value })}
+          disabled={disabled}
+          className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+          dir="rtl"
+        >
+          <option value="">ללא מסנן</option>
+          {languageFilters.map(({ name }) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="space-y-2">
+        <label className="block text-sm font-medium text-gray-700 text-right">
+          טיפול במילים מסוננות
+        </label>
+        <select
+          value={settings.vocabularyFilterMethod}
+          onChange={(e) => updateSettings({ vocabularyFilterMethod: e.target.value })}
+          disabled={disabled || !settings.vocabularyFilterName}
+          className="block w-full rounded-md border border-gray-300 py-2 px-3 text-right disabled:opacity-50 disabled:cursor-not-allowed"
+          dir="rtl"
+        >
+          {filterMethods.map(({ value, name }) => (
+            <option key={value} value={value}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {loadError && (
+        <p className="text-sm text-red-600 text-right md:col-span-3">{loadError}</p>
+      )}
+    </>
+  );
+};
+
+export default VocabularyConfig;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { DEFAULT_VOICE_COMMANDS, VOICE_COMMAND_NAMES } from '../services/VoiceCommands';
+
+const VoiceCommandSettings = ({ voiceCommands, setVoiceCommands, disabled }) => {
+  // Phrases are edited as a comma-separated list per command
+  const handleChange = (command, value) => {
+    setVoiceCommands({
+      ...voiceCommands,
+      [command]: value.split(',').map(phrase => phrase.trim()).filter(Boolean)
+    });
+  };
+
+  return (
+    <details className="md:col-span-3 text-right" dir="rtl">
+      <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+        פקודות קוליות בהכתבה
+      </summary>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2 mt-2">
+        {Object.keys(DEFAULT_VOICE_COMMANDS).map(command => (
+          <label key={command} className="flex items-center gap-2 text-sm text-gray-600">
+            <span className="whitespace-nowrap">{VOICE_COMMAND_NAMES[command]}:</span>
+            <input
+              key={(voiceCommands[command] || []).join(',')}
+              type="text"
+              defaultValue={(voiceCommands[command] || []).join(', ')}
+              onBlur={(e) => handleChange(command, e.target.value)}
+              disabled={disabled}
+              className="flex-1 rounded-md border border-gray-300 py-1 px-2 text-right disabled:opacity-50"
+            />
+          </label>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={() => setVoiceCommands(DEFAULT_VOICE_COMMANDS)}
+        disabled={disabled}
+        className="mt-2 text-sm text-blue-600 hover:underline disabled:opacity-50"
+      >
+        שחזור ברירת המחדל
+      </button>
+    </details>
+  );
+};
+
+export default VoiceCommandSettings;
@@ -3,6 +3,18 @@ import { BedrockRuntimeClient, InvokeModelWithResponseStreamCommand } from "@aws
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
 import { DynamoDBDocumentClient, ScanCommand } from "@aws-sdk/lib-dynamodb";
 import TextReplacement from './TextReplacement';
+import S3Service, { parseTranscription } from './S3Service';
+import { describeSpeakers } from './SpeakerLabels';
+import { getCleanPrompt, getSummaryPrompt } from './AiPrompts';
+import {
+  redactStoredTranscription,
+  isRedactionEnabled,
+  loadRedactionPatterns,
+  redactText,
+  escapeRegExp,
+  PII_TYPES
+} from './Redaction';
+import { describeEncounter } from './EncounterDetails';
 
 async function applyMedicalReplacements(text) {
   try {
@@ -260,22 +272,9 @@ async function getTranscriptionContent(sessionId) {
     
     console.log('Raw transcription data:', result);
     
-    const transcriptionData = JSON.parse(result);
-    let content = '';
-
-    // Handle uploaded file transcription format
-    if (transcriptionData.results?.transcripts) {
-      content = transcriptionData.results.transcripts[0]?.transcript || '';
-    }
-    // Handle real-time transcription format
-    else if (transcriptionData.content) {
-      content = transcriptionData.content;
-    }
-    // Handle other potential formats or throw error
-    else {
-      console.error('Unexpected transcription format:', transcriptionData);
-      throw new Error('Invalid transcription format');
-    }
+    // Batch output is split into speaker segments like live transcripts
+    // Batch transcripts (and ones saved before redaction) reach Bedrock redacted too
+    const { text: content } = await redactStoredTranscription(sessionId, parseTranscription(JSON.parse(result)));
 
     console.log('Extracted content:', content);
     return content;
@@ -294,9 +293,10 @@ export const aiAgentClean = async (sessionId, onProgress) => {
 
   try {
     // Get both AI instructions and transcription content
-    const [systemPrompt, transcriptionContent] = await Promise.all([
+    const [systemPrompt, transcriptionContent, { language, mode }] = await Promise.all([
       getAiInstructions(),
-      getTranscriptionContent(sessionId)
+      getTranscriptionContent(sessionId),
+      S3Service.getSessionMetadata(sessionId)
     ]);
     
     if (!transcriptionContent) {
@@ -317,23 +317,7 @@ export const aiAgentClean = async (sessionId, onProgress) => {
       anthropic_version: "bedrock-2023-05-31",
       max_tokens: 3000,
       temperature: 0,
-      system: `אתה אפליקציית תמלול מקצועית. קיבלת קטע טקסט עם דוברים ותפקידך לבצע את המשימות הבאות:
-
-
-    ניקוי שגיאות: נקה את הטקסט משגיאות כתיב, טעויות דקדוקיות ומילים חוזרות. ודא שהמשפטים זורמים בצורה טבעית.
-    הוספת סימני פיסוק: הוסף סימני פיסוק מתאימים (כגון פסיקים, נקודות, סימני שאלה וקריאה) בכל מקום שנדרש, על מנת לשפר את הקריאות.
-    המרת מספרים ותאריכים: המרה של מספרים (למשל, "שמונה" ל-8), תאריכים (למשל, "חמישה בספטמבר אלפיים עשרים ושלוש" ל-5.9.2023), וזמנים (למשל, "שתיים וחצי" ל-2:30), אם ישנם כאלו בטקסט.
-    דוגמה: טקסט קלט: "היום יש לי פגישה בשעה שתיים וחצי אחרי הצהריים. אני מקווה שהיא תסתיים עד ארבע וחצי." תוצאה מבוקשת: "היום יש לי פגישה בשעה 2:30 אחרי הצהריים. אני מקווה שהיא תסתיים עד 4:30."
-    
-    שמור על התחילית של הדוברים ("דובר 0", "דובר 1") בדיוק כפי שהן מופיעות במקור.
-כל משפט מתוקן צריך להופיע לאחר התחילית של הדובר המתאים, ללא מחיקת התחילית. 
-    
-    אם מופיעים מונחים מקצועיים באנגלית, שמור אותם באנגלית ולא תתרגם אותם לעברית
-    
-    תרשום ישירות את הטקסט המתוקן ואל תרשום לי כל פעם שאתה משנה משהו
-    
-
-`,
+      system: getCleanPrompt(language, mode),
       messages: [
         {
           role: "user",
@@ -483,6 +467,24 @@ export const aiAgentSummary = async (sessionId, onProgress) => {
     if (!textToSummarize) {
       throw new Error('No text content found to summarize');
     }
+
+    // Speaker names assigned in the app let the summary refer to roles. When
+    // transcripts are redacted the patient identifier stays out of the prompt
+    // and the rest of the encounter details are redacted like the transcript,
+    // with the clinician's name as a name even without a title before it.
+    const { speakers, language, mode, encounter } = await S3Service.getSessionMetadata(sessionId);
+    const speakersLine = describeSpeakers(speakers);
+    let encounterHeader = describeEncounter(encounter, {
+      omit: isRedactionEnabled() ? ['patientId'] : []
+    });
+    if (isRedactionEnabled()) {
+      const clinician = String(encounter?.clinician || '').trim();
+      const patterns = [
+        ...await loadRedactionPatterns(),
+        ...(clinician ? [{ label: PII_TYPES.name, pattern: escapeRegExp(clinician) }] : [])
+      ];
+      ({ text: encounterHeader } = redactText(encounterHeader, patterns, { numberAfter: textToSummarize }));
+    }
     
     console.log('Initializing Bedrock client for summary...');
     
@@ -494,11 +496,7 @@ export const aiAgentSummary = async (sessionId, onProgress) => {
       }
     });
 
-    const systemPrompt = `    תסכם את התמלול של הדו-שיח הרפואי
-    הסיכום שלך צריך להתחלק לשלושה חלקים:
-    תלונה עיקרית
-    היסטוריה רפואית ותלונות החולה
-    תוכנית טיפול והמלצות`;
+    const systemPrompt = getSummaryPrompt(language, mode);
 
     const requestBody = {
       anthropic_version: "bedrock-2023-05-31",
@@ -511,7 +509,7 @@ export const aiAgentSummary = async (sessionId, onProgress) => {
           content: [
             {
               type: "text",
-              text: `Please provide a clear, structured summary of this medical conversation: \n\n${textToSummarize}`
+              text: `Please provide a clear, structured summary of this medical ${mode === 'dictation' ? 'dictation' : 'conversation'}: \n\n${encounterHeader ? encounterHeader + '\n\n' : ''}${speakersLine ? speakersLine + '\n\n' : ''}${textToSummarize}`
             }
           ]
         }
@@ -0,0 +1,117 @@
+import { LANGUAGES } from './Languages';
+
+// Hebrew sessions keep the original Hebrew prompts; other languages get the
+// same instructions in English, with the output language spelled out.
+const HEBREW_CLEAN_PROMPT = `אתה אפליקציית תמלול מקצועית. קיבלת קטע טקסט עם דוברים ותפקידך לבצע את המשימות הבאות:
+
+
+    ניקוי שגיאות: נקה את הטקסט משגיאות כתיב, טעויות דקדוקיות ומילים חוזרות. ודא שהמשפטים זורמים בצורה טבעית.
+    הוספת סימני פיסוק: הוסף סימני פיסוק מתאימים (כגון פסיקים, נקודות, סימני שאלה וקריאה) בכל מקום שנדרש, על מנת לשפר את הקריאות.
+    המרת מספרים ותאריכים: המרה של מספרים (למשל, "שמונה" ל-8), תאריכים (למשל, "חמישה בספטמבר אלפיים עשרים ושלוש" ל-5.9.2023), וזמנים (למשל, "שתיים וחצי" ל-2:30), אם ישנם כאלו בטקסט.
+    דוגמה: טקסט קלט: "היום יש לי פגישה בשעה שתיים וחצי אחרי הצהריים. אני מקווה שהיא תסתיים עד ארבע וחצי." תוצאה מבוקשת: "היום יש לי פגישה בשעה 2:30 אחרי הצהריים. אני מקווה שהיא תסתיים עד 4:30."
+
+    שמור על התחילית של הדוברים ("דובר 0", "דובר 1") בדיוק כפי שהן מופיעות במקור.
+כל משפט מתוקן צריך להופיע לאחר התחילית של הדובר המתאים, ללא מחיקת התחילית.
+
+    אם מופיעים מונחים מקצועיים באנגלית, שמור אותם באנגלית ולא תתרגם אותם לעברית
+
+    תרשום ישירות את הטקסט המתוקן ואל תרשום לי כל פעם שאתה משנה משהו
+
+
+`;
+
+const HEBREW_SUMMARY_PROMPT = `    תסכם את התמלול של הדו-שיח הרפואי
+    הסיכום שלך צריך להתחלק לשלושה חלקים:
+    תלונה עיקרית
+    היסטוריה רפואית ותלונות החולה
+    תוכנית טיפול והמלצות`;
+
+// Dictations are a doctor speaking alone, already punctuated by voice
+const HEBREW_DICTATION_CLEAN_PROMPT = `אתה אפליקציית תמלול מקצועית. קיבלת הכתבה רפואית של רופא יחיד ותפקידך לבצע את המשימות הבאות:
+
+    ניקוי שגיאות: נקה את הטקסט משגיאות כתיב, טעויות דקדוקיות ומילים חוזרות.
+    סימני פיסוק: שמור על סימני הפיסוק שהרופא הכתיב, והוסף סימנים חסרים רק במקום שנדרש לקריאות.
+    המרת מספרים ותאריכים: המר מספרים, תאריכים וזמנים לספרות (למשל, "שתיים וחצי" ל-2:30).
+    שמור על חלוקת הפסקאות ועל כותרות כמו "סיכום:" בדיוק כפי שהן מופיעות.
+
+    אם מופיעים מונחים מקצועיים באנגלית, שמור אותם באנגלית ולא תתרגם אותם לעברית
+
+    תרשום ישירות את הטקסט המתוקן ואל תרשום לי כל פעם שאתה משנה משהו
+`;
+
+const HEBREW_DICTATION_SUMMARY_PROMPT = `    ערוך את ההכתבה הרפואית של הרופא לרשומה רפואית מסודרת
+    הרשומה צריכה להתחלק לחלקים הבאים:
+    תלונה עיקרית
+    ממצאים ובדיקות
+    אבחנה
+    תוכנית טיפול והמלצות
+    אל תוסיף מידע שלא הוכתב`;
+
+const isDictation = (mode) => mode === 'dictation';
+
+// Sessions saved before the language was recorded are all Hebrew
+const isHebrew = (language) => !language || language === 'he-IL';
+
+// Sessions whose language is unknown (e.g. auto-detect found nothing)
+// are answered in the language of the transcript
+const getOutputLanguage = (language) => LANGUAGES[language]
+  ? LANGUAGES[language].englishName
+  : 'the same language as the transcript';
+
+export function getCleanPrompt(language, mode) {
+  if (isHebrew(language)) {
+    return isDictation(mode) ? HEBREW_DICTATION_CLEAN_PROMPT : HEBREW_CLEAN_PROMPT;
+  }
+
+  const outputLanguage = getOutputLanguage(language);
+  if (isDictation(mode)) {
+    return `You are a professional transcription application. You received a medical dictation by a single doctor and your job is to:
+
+    Fix errors: correct spelling mistakes, grammatical errors and repeated words.
+    Punctuation: keep the punctuation the doctor dictated and only add what is missing for readability.
+    Convert numbers and dates: write spoken numbers, dates and times as digits.
+    Keep the paragraphs and headings such as "סיכום:" exactly as they appear.
+
+    Keep medical terms that were said in another language as they are; do not translate them.
+
+    Write the corrected text in ${outputLanguage}, directly, without commenting on what you changed.
+`;
+  }
+
+  return `You are a professional transcription application. You received a transcript with speakers and your job is to:
+
+    Fix errors: correct spelling mistakes, grammatical errors and repeated words. Make sure sentences flow naturally.
+    Add punctuation: add commas, periods, question marks and exclamation marks wherever needed to improve readability.
+    Convert numbers and dates: write spoken numbers, dates and times as digits (for example "half past two" becomes 2:30).
+
+    Keep the speaker prefixes (such as "[דובר 1]:") exactly as they appear in the original.
+    Every corrected sentence must follow the prefix of its speaker, without removing the prefix.
+
+    Keep medical terms that were said in another language as they are; do not translate them.
+
+    Write the corrected text in ${outputLanguage}, directly, without commenting on what you changed.
+`;
+}
+
+export function getSummaryPrompt(language, mode) {
+  if (isHebrew(language)) {
+    return isDictation(mode) ? HEBREW_DICTATION_SUMMARY_PROMPT : HEBREW_SUMMARY_PROMPT;
+  }
+
+  const outputLanguage = getOutputLanguage(language);
+  if (isDictation(mode)) {
+    return `    Turn the doctor's medical dictation into a structured medical note in ${outputLanguage}.
+    The note should be divided into the following sections:
+    Chief complaint
+    Findings and examinations
+    Diagnosis
+    Treatment plan and recommendations
+    Do not add information that was not dictated`;
+  }
+
+  return `    Summarize the transcript of the medical conversation in ${outputLanguage}.
+    Your summary should be divided into three sections:
+    Chief complaint
+    Medical history and patient complaints
+    Treatment plan and recommendations`;
+}
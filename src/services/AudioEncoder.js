@@ -0,0 +1,346 @@
+// Containers the app can store recordings in. Both hold 16-bit mono PCM.
+export const RECORDING_FORMATS = {
+  wav: { extension: 'wav', contentType: 'audio/wav', name: 'WAV' },
+  flac: { extension: 'flac', contentType: 'audio/flac', name: 'FLAC' }
+};
+
+const BITS_PER_SAMPLE = 16;
+const FLAC_BLOCK_SIZE = 4096;
+
+export function concatPcm(chunks) {
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const samples = new Int16Array(totalLength);
+  let offset = 0;
+  for (const chunk of chunks) {
+    samples.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return samples;
+}
+
+export function encodeWav(samples, sampleRate) {
+  const dataSize = samples.length * 2;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);           // fmt chunk size
+  view.setUint16(20, 1, true);            // PCM
+  view.setUint16(22, 1, true);            // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true);            // block align
+  view.setUint16(34, BITS_PER_SAMPLE, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    view.setInt16(44 + i * 2, samples[i], true);
+  }
+
+  return new Blob([buffer], { type: RECORDING_FORMATS.wav.contentType });
+}
+
+// Reads back the PCM samples of a WAV produced by encodeWav
+export function decodeWav(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  let offset = 12;
+
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = String.fromCharCode(
+      view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+    const chunkSize = view.getUint32(offset + 4, true);
+
+    if (chunkId === 'data') {
+      const length = Math.min(chunkSize, view.byteLength - offset - 8) >> 1;
+      const samples = new Int16Array(length);
+      for (let i = 0; i < length; i++) {
+        samples[i] = view.getInt16(offset + 8 + i * 2, true);
+      }
+      return samples;
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('Invalid WAV file: no data chunk');
+}
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  let crc8 = i;
+  let crc16 = i << 8;
+  for (let bit = 0; bit < 8; bit++) {
+    crc8 = (crc8 & 0x80) ? ((crc8 << 1) ^ 0x07) & 0xff : (crc8 << 1) & 0xff;
+    crc16 = (crc16 & 0x8000) ? ((crc16 << 1) ^ 0x8005) & 0xffff : (crc16 << 1) & 0xffff;
+  }
+  CRC8_TABLE[i] = crc8;
+  CRC16_TABLE[i] = crc16;
+}
+
+class BitWriter {
+  constructor(initialSize) {
+    this.bytes = new Uint8Array(initialSize);
+    this.length = 0;
+    this.current = 0;
+    this.bitCount = 0;
+  }
+
+  pushByte(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  // Writes the low `count` bits of value, most significant first (count <= 32)
+  writeBits(value, count) {
+    while (count > 0) {
+      const take = Math.min(count, 8 - this.bitCount);
+      const bits = (value >>> (count - take)) & ((1 << take) - 1);
+      this.current = (this.current << take) | bits;
+      this.bitCount += take;
+      count -= take;
+
+      if (this.bitCount === 8) {
+        this.pushByte(this.current);
+        this.current = 0;
+        this.bitCount = 0;
+      }
+    }
+  }
+
+  writeUnary(quotient) {
+    while (quotient > 24) {
+      this.writeBits(0, 24);
+      quotient -= 24;
+    }
+    this.writeBits(1, quotient + 1);
+  }
+
+  alignToByte() {
+    if (this.bitCount > 0) {
+      this.writeBits(0, 8 - this.bitCount);
+    }
+  }
+
+  crc8(start) {
+    let crc = 0;
+    for (let i = start; i < this.length; i++) {
+      crc = CRC8_TABLE[crc ^ this.bytes[i]];
+    }
+    return crc;
+  }
+
+  crc16(start) {
+    let crc = 0;
+    for (let i = start; i < this.length; i++) {
+      crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ this.bytes[i]];
+    }
+    return crc;
+  }
+
+  toUint8Array() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+// FLAC's "UTF-8"-style variable length frame number
+function writeFrameNumber(writer, frameNumber) {
+  if (frameNumber < 0x80) {
+    writer.writeBits(frameNumber, 8);
+    return;
+  }
+
+  let continuationBytes = frameNumber < 0x800 ? 1
+    : frameNumber < 0x10000 ? 2
+    : frameNumber < 0x200000 ? 3
+    : frameNumber < 0x4000000 ? 4 : 5;
+
+  const leadingOnes = (0xff << (7 - continuationBytes)) & 0xff;
+  writer.writeBits(leadingOnes | (frameNumber >>> (6 * continuationBytes)), 8);
+  while (continuationBytes-- > 0) {
+    writer.writeBits(0x80 | ((frameNumber >>> (6 * continuationBytes)) & 0x3f), 8);
+  }
+}
+
+const FLAC_SAMPLE_RATE_CODES = {
+  8000: 0b0100, 16000: 0b0101, 22050: 0b0110, 24000: 0b0111,
+  32000: 0b1000, 44100: 0b1001, 48000: 0b1010, 96000: 0b1011
+};
+
+// Frames carry their own sample rate so they decode without STREAMINFO
+function sampleRateHeader(sampleRate) {
+  if (FLAC_SAMPLE_RATE_CODES[sampleRate]) {
+    return { code: FLAC_SAMPLE_RATE_CODES[sampleRate], extraBits: 0 };
+  }
+  if (sampleRate % 1000 === 0 && sampleRate / 1000 < 256) {
+    return { code: 0b1100, extraBits: 8, extraValue: sampleRate / 1000 };
+  }
+  return { code: 0b1101, extraBits: 16, extraValue: sampleRate };
+}
+
+function fixedResidual(block, order, i) {
+  switch (order) {
+    case 0: return block[i];
+    case 1: return block[i] - block[i - 1];
+    case 2: return block[i] - 2 * block[i - 1] + block[i - 2];
+    case 3: return block[i] - 3 * block[i - 1] + 3 * block[i - 2] - block[i - 3];
+    default: return block[i] - 4 * block[i - 1] + 6 * block[i - 2] - 4 * block[i - 3] + block[i - 4];
+  }
+}
+
+function writeSubframe(writer, block) {
+  const size = block.length;
+
+  if (block.every(sample => sample === block[0])) {
+    writer.writeBits(0b00000000, 8); // CONSTANT
+    writer.writeBits(block[0] & 0xffff, BITS_PER_SAMPLE);
+    return;
+  }
+
+  // Pick the fixed predictor with the smallest residual energy
+  let bestOrder = 0;
+  let bestSum = Infinity;
+  const maxOrder = Math.min(4, size - 1);
+  for (let order = 0; order <= maxOrder; order++) {
+    let sum = 0;
+    for (let i = maxOrder; i < size; i++) {
+      sum += Math.abs(fixedResidual(block, order, i));
+    }
+    if (sum < bestSum) {
+      bestSum = sum;
+      bestOrder = order;
+    }
+  }
+
+  const residualCount = size - bestOrder;
+  const residuals = new Uint32Array(residualCount);
+  let total = 0;
+  for (let i = bestOrder; i < size; i++) {
+    const residual = fixedResidual(block, bestOrder, i);
+    const folded = residual >= 0 ? residual * 2 : -residual * 2 - 1;
+    residuals[i - bestOrder] = folded;
+    total += folded;
+  }
+
+  const mean = total / residualCount;
+  const riceParameter = mean >= 1 ? Math.min(14, Math.floor(Math.log2(mean))) : 0;
+
+  let riceBits = residualCount * (riceParameter + 1);
+  for (let i = 0; i < residualCount; i++) {
+    riceBits += residuals[i] >>> riceParameter;
+  }
+
+  if (riceBits + bestOrder * BITS_PER_SAMPLE >= size * BITS_PER_SAMPLE) {
+    writer.writeBits(0b00000010, 8); // VERBATIM
+    for (let i = 0; i < size; i++) {
+      writer.writeBits(block[i] & 0xffff, BITS_PER_SAMPLE);
+    }
+    return;
+  }
+
+  writer.writeBits(0b00010000 | (bestOrder << 1), 8); // FIXED, order in bits 1-3
+  for (let i = 0; i < bestOrder; i++) {
+    writer.writeBits(block[i] & 0xffff, BITS_PER_SAMPLE);
+  }
+
+  writer.writeBits(0, 2); // Rice coding with 4-bit parameters
+  writer.writeBits(0, 4); // a single partition
+  writer.writeBits(riceParameter, 4);
+  const lowMask = (1 << riceParameter) - 1;
+  for (let i = 0; i < residualCount; i++) {
+    writer.writeUnary(residuals[i] >>> riceParameter);
+    if (riceParameter > 0) {
+      writer.writeBits(residuals[i] & lowMask, riceParameter);
+    }
+  }
+}
+
+/**
+ * Minimal FLAC encoder for 16-bit mono PCM: fixed-size blocks, fixed linear
+ * predictors and Rice-coded residuals. Speech typically shrinks to ~50-60%
+ * of the WAV size. The STREAMINFO MD5 is left zeroed ("unknown").
+ */
+export function encodeFlac(samples, sampleRate) {
+  const writer = new BitWriter(Math.max(1024, samples.length));
+  const blockSize = Math.max(16, Math.min(FLAC_BLOCK_SIZE, samples.length));
+  const rateHeader = sampleRateHeader(sampleRate);
+
+  writer.writeBits(0x664c6143, 32); // "fLaC"
+
+  // STREAMINFO, the only (and therefore last) metadata block
+  writer.writeBits(1, 1);
+  writer.writeBits(0, 7);
+  writer.writeBits(34, 24);
+  writer.writeBits(blockSize, 16);
+  writer.writeBits(blockSize, 16);
+  writer.writeBits(0, 24); // min frame size unknown
+  writer.writeBits(0, 24); // max frame size unknown
+  writer.writeBits(sampleRate, 20);
+  writer.writeBits(0, 3); // channels - 1
+  writer.writeBits(BITS_PER_SAMPLE - 1, 5);
+  writer.writeBits(Math.floor(samples.length / 0x100000000) & 0xf, 4);
+  writer.writeBits(samples.length >>> 0, 32);
+  for (let i = 0; i < 4; i++) {
+    writer.writeBits(0, 32);
+  }
+
+  for (let offset = 0, frameNumber = 0; offset < samples.length; offset += blockSize, frameNumber++) {
+    const block = samples.subarray(offset, Math.min(offset + blockSize, samples.length));
+    const frameStart = writer.length;
+
+    writer.writeBits(0b11111111111110, 14); // sync code
+    writer.writeBits(0, 1);
+    writer.writeBits(0, 1); // fixed block size
+    writer.writeBits(0b0111, 4); // block size stored as 16 bits after the header
+    writer.writeBits(rateHeader.code, 4);
+    writer.writeBits(0b0000, 4); // mono
+    writer.writeBits(0b100, 3); // 16 bits per sample
+    writer.writeBits(0, 1);
+    writeFrameNumber(writer, frameNumber);
+    writer.writeBits(block.length - 1, 16);
+    if (rateHeader.extraBits) {
+      writer.writeBits(rateHeader.extraValue, rateHeader.extraBits);
+    }
+    writer.writeBits(writer.crc8(frameStart), 8);
+
+    writeSubframe(writer, block);
+
+    writer.alignToByte();
+    writer.writeBits(writer.crc16(frameStart), 16);
+  }
+
+  return new Blob([writer.toUint8Array()], { type: RECORDING_FORMATS.flac.contentType });
+}
+
+export function encodeRecording(chunks, sampleRate, format = 'wav') {
+  const samples = concatPcm(chunks);
+  const blob = format === 'flac'
+    ? encodeFlac(samples, sampleRate)
+    : encodeWav(samples, sampleRate);
+
+  return {
+    blob,
+    metadata: {
+      format,
+      contentType: RECORDING_FORMATS[format].contentType,
+      sampleRate,
+      channels: 1,
+      bitsPerSample: BITS_PER_SAMPLE,
+      durationSeconds: samples.length / sampleRate
+    }
+  };
+}
@@ -0,0 +1,146 @@
+import { encodeFlac } from './AudioEncoder';
+
+// Transcribe works at 16 kHz; higher rates and extra channels only add size
+export const NORMALIZED_SAMPLE_RATE = 16000;
+
+const FRAME_SECONDS = 0.02;
+const SILENCE_DBFS = -50;
+const TRIM_MARGIN_SECONDS = 0.3;
+const TARGET_RMS_DBFS = -20;
+const PEAK_LIMIT_DBFS = -1;
+const MAX_GAIN_DB = 30;
+
+const fromDb = (db) => 10 ** (db / 20);
+
+async function decodeFile(file) {
+  const context = new AudioContext();
+  try {
+    return await context.decodeAudioData(await file.arrayBuffer());
+  } finally {
+    context.close();
+  }
+}
+
+// Mono 16 kHz through an offline context, which downmixes and resamples
+async function renderMono(audioBuffer) {
+  const context = new OfflineAudioContext(
+    1,
+    Math.ceil(audioBuffer.duration * NORMALIZED_SAMPLE_RATE),
+    NORMALIZED_SAMPLE_RATE
+  );
+  const source = context.createBufferSource();
+  source.buffer = audioBuffer;
+  source.connect(context.destination);
+  source.start();
+  return (await context.startRendering()).getChannelData(0);
+}
+
+function toPcm16(samples, gain = 1) {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i] * gain));
+    pcm[i] = value < 0 ? value * 0x8000 : value * 0x7fff;
+  }
+  return pcm;
+}
+
+const frameRms = (samples, start, length) => {
+  let sum = 0;
+  const end = Math.min(start + length, samples.length);
+  for (let i = start; i < end; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / Math.max(1, end - start));
+};
+
+// Drops leading and trailing frames quieter than SILENCE_DBFS, keeping a margin
+function trimSilence(samples) {
+  const frameLength = Math.round(FRAME_SECONDS * NORMALIZED_SAMPLE_RATE);
+  const threshold = fromDb(SILENCE_DBFS);
+  const margin = Math.round(TRIM_MARGIN_SECONDS * NORMALIZED_SAMPLE_RATE);
+
+  let first = 0;
+  while (first < samples.length && frameRms(samples, first, frameLength) < threshold) {
+    first += frameLength;
+  }
+  if (first >= samples.length) return samples;
+
+  let last = samples.length;
+  while (last > first && frameRms(samples, last - frameLength, frameLength) < threshold) {
+    last -= frameLength;
+  }
+
+  return samples.subarray(Math.max(0, first - margin), Math.min(samples.length, last + margin));
+}
+
+/**
+ * Brings speech to TARGET_RMS_DBFS, measured over the frames that aren't
+ * silence, without letting peaks go past PEAK_LIMIT_DBFS. Returns 16-bit PCM.
+ */
+function normalizeLoudness(samples) {
+  const frameLength = Math.round(FRAME_SECONDS * NORMALIZED_SAMPLE_RATE);
+  const threshold = fromDb(SILENCE_DBFS);
+  let sum = 0;
+  let count = 0;
+  let peak = 0;
+
+  for (let start = 0; start < samples.length; start += frameLength) {
+    const rms = frameRms(samples, start, frameLength);
+    if (rms >= threshold) {
+      sum += rms * rms;
+      count++;
+    }
+  }
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+
+  const speechRms = count > 0 ? Math.sqrt(sum / count) : 0;
+  const gain = speechRms > 0 && peak > 0
+    ? Math.min(fromDb(TARGET_RMS_DBFS) / speechRms, fromDb(PEAK_LIMIT_DBFS) / peak, fromDb(MAX_GAIN_DB))
+    : 1;
+
+  return toPcm16(samples, gain);
+}
+
+function toFlacFile(file, pcm) {
+  const blob = encodeFlac(pcm, NORMALIZED_SAMPLE_RATE);
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+  return new File([blob], `${baseName}.flac`, {
+    type: blob.type,
+    lastModified: file.lastModified
+  });
+}
+
+const describeResult = (file, audioBuffer, convertedFile, pcm) => ({
+  file: convertedFile,
+  originalSize: file.size,
+  size: convertedFile.size,
+  originalDuration: audioBuffer.duration,
+  duration: pcm.length / NORMALIZED_SAMPLE_RATE,
+  originalSampleRate: audioBuffer.sampleRate,
+  originalChannels: audioBuffer.numberOfChannels
+});
+
+/**
+ * Prepares a media file for upload: mono, 16 kHz, silence trimmed at both
+ * ends, loudness normalized, FLAC encoded. The whole file is decoded in
+ * memory, so very long files need a lot of it.
+ * Returns the new file with the sizes and durations before and after.
+ */
+export async function normalizeAudio(file) {
+  const audioBuffer = await decodeFile(file);
+  const pcm = normalizeLoudness(trimSilence(await renderMono(audioBuffer)));
+  return describeResult(file, audioBuffer, toFlacFile(file, pcm), pcm);
+}
+
+/**
+ * Takes the audio track out of a video (or any file the browser can decode)
+ * as mono 16 kHz FLAC, otherwise unchanged. Returns the same shape as
+ * normalizeAudio.
+ */
+export async function extractAudio(file) {
+  const audioBuffer = await decodeFile(file);
+  const pcm = toPcm16(await renderMono(audioBuffer));
+  return describeResult(file, audioBuffer, toFlacFile(file, pcm), pcm);
+}
@@ -2,8 +2,11 @@ import React, { useState, useRef, useEffect } from 'react';
 import { Play, Pause, RotateCcw } from 'lucide-react';
 import { GetObjectCommand } from "@aws-sdk/client-s3";
 import S3Service from './S3Service';
+import { RECORDING_FORMATS } from './AudioEncoder';
 
-const AudioPlayer = ({ sessionId, recordingType }) => {
+const MISSING_AUDIO = 'missing';
+
+const AudioPlayer = ({ sessionId, recordingType, seekRequest }) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [duration, setDuration] = useState(0);
   const [currentTime, setCurrentTime] = useState(0);
@@ -35,8 +38,23 @@ const AudioPlayer = ({ sessionId, recordingType }) => {
 
     const attemptLoad = async () => {
       try {
-        const prefix = recordingType === 'upload' ? 'media-loads' : 'recordings';
-        const key = `${prefix}/${sessionId}${recordingType === 'recording' ? '.wav' : ''}`;
+        let key = `media-loads/${sessionId}`;
+        let contentType = 'audio/*';
+
+        // Live recordings record their container in the session manifest;
+        // for older sessions without one, whatever audio the session has is used
+        if (recordingType === 'recording') {
+          const { recording } = await S3Service.getSessionMetadata(sessionId);
+          if (recording?.key) {
+            key = recording.key;
+            contentType = recording.contentType || 'audio/wav';
+          } else {
+            key = await S3Service.findRecordingKey(sessionId);
+            if (!key) return MISSING_AUDIO;
+            contentType = Object.values(RECORDING_FORMATS)
+              .find(({ extension }) => key.endsWith('.' + extension))?.contentType || 'audio/*';
+          }
+        }
 
         const command = new GetObjectCommand({
           Bucket: "ai.hadassah.frankfurt",
@@ -53,9 +71,7 @@ const AudioPlayer = ({ sessionId, recordingType }) => {
           chunks.push(value);
         }
 
-        const blob = new Blob(chunks, {
-          type: recordingType === 'recording' ? 'audio/wav' : 'audio/*'
-        });
+        const blob = new Blob(chunks, { type: contentType });
         const url = URL.createObjectURL(blob);
 
         if (audioRef.current) {
@@ -75,6 +91,11 @@ const AudioPlayer = ({ sessionId, recordingType }) => {
     const pollForAudio = async () => {
       const success = await attemptLoad();
 
+      if (success === MISSING_AUDIO) {
+        setIsLoading(false);
+        setError('No audio was saved for this session');
+        return;
+      }
       if (success) {
         setIsLoading(false);
         return;
@@ -92,14 +113,31 @@ const AudioPlayer = ({ sessionId, recordingType }) => {
     pollForAudio();
   };
 
+  // seekRequest is { time } from a clicked transcript word; a new object each click
+  useEffect(() => {
+    if (!seekRequest || !audioRef.current || !audioRef.current.duration) return;
+    audioRef.current.currentTime = seekRequest.time;
+    setCurrentTime(seekRequest.time);
+    playAudio();
+  }, [seekRequest]);
+
+  // play() rejects when autoplay is blocked or the source can't be played
+  const playAudio = () => {
+    setIsPlaying(true);
+    audioRef.current.play().catch(error => {
+      console.error('Error playing audio:', error);
+      setIsPlaying(false);
+    });
+  };
+
   const togglePlayPause = () => {
     if (audioRef.current) {
       if (isPlaying) {
         audioRef.current.pause();
+        setIsPlaying(false);
       } else {
-        audioRef.current.play();
+        playAudio();
       }
-      setIsPlaying(!isPlaying);
     }
   };
 
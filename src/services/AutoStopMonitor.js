@@ -0,0 +1,102 @@
+// Explains why a recording was stopped automatically, keyed by reason
+export const AUTO_STOP_REASONS = {
+  silence: 'לא נקלט קול במשך זמן רב',
+  maxDuration: 'ההקלטה הגיעה לאורך המרבי שהוגדר'
+};
+
+const TICK_MS = 1000;
+
+/**
+ * Stops forgotten recordings: after silenceMinutes without sound (by the
+ * worklet's RMS) or after maxMinutes of recording, not counting pauses.
+ * Either limit can be 0 to turn it off. onWarning gets { reason, secondsLeft }
+ * during the last warningSeconds (and null when the warning clears), onStop
+ * gets the reason once the limit is reached.
+ */
+class AutoStopMonitor {
+  constructor({
+    silenceMinutes = 0,
+    maxMinutes = 0,
+    warningSeconds = 60,
+    silenceRms = 0.01,
+    onWarning,
+    onStop
+  } = {}) {
+    this.silenceMs = silenceMinutes * 60000;
+    this.maxMs = maxMinutes * 60000;
+    this.warningMs = warningSeconds * 1000;
+    this.silenceRms = silenceRms;
+    this.onWarning = onWarning;
+    this.onStop = onStop;
+    this.activeMs = 0;
+    this.interval = null;
+    this.warning = null;
+  }
+
+  start() {
+    this.lastTick = Date.now();
+    this.lastSoundAt = this.lastTick;
+    this.interval = setInterval(() => this.tick(), TICK_MS);
+  }
+
+  pause() {
+    this.tick();
+    this.stop();
+  }
+
+  // A pause isn't silence, so the silence timer restarts on resume
+  resume() {
+    this.start();
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  update(rms) {
+    if (rms >= this.silenceRms) {
+      this.lastSoundAt = Date.now();
+    }
+  }
+
+  // "Keep recording" on the silence warning
+  extend() {
+    this.lastSoundAt = Date.now();
+    this.tick();
+  }
+
+  tick() {
+    if (!this.interval) return;
+
+    const now = Date.now();
+    this.activeMs += now - this.lastTick;
+    this.lastTick = now;
+
+    const remaining = [
+      this.silenceMs > 0 && { reason: 'silence', ms: this.silenceMs - (now - this.lastSoundAt) },
+      this.maxMs > 0 && { reason: 'maxDuration', ms: this.maxMs - this.activeMs }
+    ].filter(Boolean).sort((a, b) => a.ms - b.ms)[0];
+
+    if (remaining && remaining.ms <= 0) {
+      this.stop();
+      this.setWarning(null);
+      if (this.onStop) this.onStop(remaining.reason);
+    } else if (remaining && remaining.ms <= this.warningMs) {
+      this.setWarning({ reason: remaining.reason, secondsLeft: Math.ceil(remaining.ms / 1000) });
+    } else {
+      this.setWarning(null);
+    }
+  }
+
+  setWarning(warning) {
+    if (warning === this.warning) return;
+    if (warning && this.warning && warning.reason === this.warning.reason &&
+      warning.secondsLeft === this.warning.secondsLeft) return;
+
+    this.warning = warning;
+    if (this.onWarning) this.onWarning(warning);
+  }
+}
+
+export default AutoStopMonitor;
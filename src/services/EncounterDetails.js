@@ -0,0 +1,59 @@
+// Which patient and visit a session belongs to. Kept in the session manifest
+// under "encounter" and editable at any time after the session. The patient
+// identifier is stored as typed, since it's how a session is found again;
+// with redaction on it's kept out of AI prompts and the local search index.
+export const ENCOUNTER_FIELDS = [
+  { key: 'patientId', label: 'מזהה מטופל' },
+  { key: 'clinician', label: 'רופא/ה מטפל/ת' },
+  { key: 'department', label: 'מחלקה' },
+  { key: 'encounterType', label: 'סוג מפגש' },
+  { key: 'tags', label: 'תגיות' },
+  { key: 'notes', label: 'הערות' }
+];
+
+// Suggested types; any free text is accepted
+export const ENCOUNTER_TYPES = ['ביקור מרפאה', 'ביקור מעקב', 'מיון', 'אשפוז', 'ייעוץ', 'שיחה טלפונית'];
+
+export const EMPTY_ENCOUNTER = {
+  patientId: '',
+  clinician: '',
+  department: '',
+  encounterType: '',
+  tags: [],
+  notes: ''
+};
+
+export const parseTags = (value) => Array.from(new Set(
+  value.split(',').map(tag => tag.trim()).filter(Boolean)
+));
+
+// Fills in fields missing from manifests saved by older versions
+export const normalizeEncounter = (encounter) => ({
+  ...EMPTY_ENCOUNTER,
+  ...encounter,
+  tags: Array.isArray(encounter?.tags) ? encounter.tags : []
+});
+
+// Short line telling sessions apart in lists: patient, clinician, type
+export const formatEncounterTitle = (encounter) =>
+  [encounter?.patientId, encounter?.clinician, encounter?.encounterType]
+    .map(value => String(value || '').trim())
+    .filter(Boolean)
+    .join(' · ');
+
+/**
+ * "Label: value" lines under a title, for the summary prompt and exports,
+ * or '' when nothing was filled in. Fields in omit are left out.
+ */
+export function describeEncounter(encounter, { omit = [] } = {}) {
+  const details = normalizeEncounter(encounter);
+  const lines = ENCOUNTER_FIELDS
+    .filter(({ key }) => !omit.includes(key))
+    .map(({ key, label }) => {
+      const value = key === 'tags' ? details.tags.join(', ') : String(details[key] || '').trim();
+      return value ? `${label}: ${value}` : null;
+    })
+    .filter(Boolean);
+
+  return lines.length > 0 ? ['פרטי המפגש:', ...lines].join('\n') : '';
+}
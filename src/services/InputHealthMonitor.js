@@ -0,0 +1,78 @@
+// Warnings shown while recording, keyed by the id the monitor reports
+export const INPUT_WARNINGS = {
+  clipping: 'עוצמת הקלט גבוהה מדי והקול נחתך. הרחק את המיקרופון או הנמך את עוצמתו.',
+  silence: 'לא נקלט קול בשניות האחרונות. בדוק שהמיקרופון פועל ולא מושתק.',
+  muted: 'המיקרופון מושתק על ידי המערכת.',
+  disconnected: 'המיקרופון נותק. חבר אותו מחדש ובחר אותו בהגדרות.'
+};
+
+// The worklet leaves 20% headroom, so a full-scale buffer peaks around 26200
+const CLIPPING_PEAK = 26000;
+
+/**
+ * Watches the worklet's per-buffer stats and the microphone track and keeps
+ * the set of active input warnings. onChange gets the warning ids whenever
+ * the set changes.
+ */
+class InputHealthMonitor {
+  constructor({
+    onChange,
+    silenceRms = 0.01,
+    silenceSeconds = 20,
+    clippingBuffers = 3,
+    clippingWindowMs = 2000
+  } = {}) {
+    this.onChange = onChange;
+    this.silenceRms = silenceRms;
+    this.silenceSeconds = silenceSeconds;
+    this.clippingBuffers = clippingBuffers;
+    this.clippingWindowMs = clippingWindowMs;
+    this.active = new Set();
+    this.reset();
+  }
+
+  // Restart the timers, e.g. after a pause
+  reset() {
+    this.lastSoundAt = Date.now();
+    this.clippingTimes = [];
+    this.set('silence', false);
+    this.set('clipping', false);
+  }
+
+  update(rms, peak) {
+    const now = Date.now();
+
+    if (rms >= this.silenceRms) {
+      this.lastSoundAt = now;
+    }
+    this.set('silence', now - this.lastSoundAt > this.silenceSeconds * 1000);
+
+    if (peak >= CLIPPING_PEAK) {
+      this.clippingTimes.push(now);
+    }
+    this.clippingTimes = this.clippingTimes.filter(time => now - time <= this.clippingWindowMs);
+    this.set('clipping', this.clippingTimes.length >= this.clippingBuffers);
+  }
+
+  watchTrack(track) {
+    track.onmute = () => this.set('muted', true);
+    track.onunmute = () => this.set('muted', false);
+    track.onended = () => this.set('disconnected', true);
+    this.set('muted', track.muted);
+  }
+
+  set(warning, isActive) {
+    if (this.active.has(warning) === isActive) return;
+
+    if (isActive) {
+      this.active.add(warning);
+    } else {
+      this.active.delete(warning);
+    }
+    if (this.onChange) {
+      this.onChange(Array.from(this.active));
+    }
+  }
+}
+
+export default InputHealthMonitor;
@@ -0,0 +1,142 @@
+// Languages offered for transcription. vocabularyName is the default custom
+// Transcribe vocabulary for that language, used until the user picks another;
+// it has to exist in the account/region, so languages without one can be
+// given one through the environment.
+export const LANGUAGES = {
+  'he-IL': {
+    name: 'עברית',
+    englishName: 'Hebrew',
+    dir: 'rtl',
+    vocabularyName: process.env.REACT_APP_VOCABULARY_HE || 'transcriber-he-punctuation'
+  },
+  'en-US': {
+    name: 'English',
+    englishName: 'English',
+    dir: 'ltr',
+    vocabularyName: process.env.REACT_APP_VOCABULARY_EN
+  },
+  'ar-AE': {
+    name: 'العربية',
+    englishName: 'Arabic',
+    dir: 'rtl',
+    vocabularyName: process.env.REACT_APP_VOCABULARY_AR
+  },
+  'ru-RU': {
+    name: 'Русский',
+    englishName: 'Russian',
+    dir: 'ltr',
+    vocabularyName: process.env.REACT_APP_VOCABULARY_RU
+  }
+};
+
+// Pseudo language code for Transcribe's automatic language identification
+export const AUTO_DETECT = 'auto';
+
+export const DEFAULT_LANGUAGE = 'he-IL';
+
+export const isAutoDetect = (language) => language === AUTO_DETECT;
+
+/**
+ * Vocabularies and vocabulary filters a session uses. vocabularySettings holds
+ * the user's choice per language ({ vocabularyName, vocabularyFilterName,
+ * vocabularyFilterMethod }); an empty name means "none", a missing one falls
+ * back to the language's default vocabulary. Auto-detect uses the choice made
+ * for every candidate language.
+ */
+export function getSessionVocabulary(language, vocabularySettings = {}) {
+  const languageCodes = isAutoDetect(language) ? Object.keys(LANGUAGES) : [language];
+  const selections = languageCodes.map(code => ({
+    vocabularyName: LANGUAGES[code]?.vocabularyName,
+    ...vocabularySettings[code]
+  }));
+  const filtered = selections.find(({ vocabularyFilterName }) => vocabularyFilterName);
+
+  return {
+    vocabularyNames: selections.map(({ vocabularyName }) => vocabularyName).filter(Boolean),
+    vocabularyFilterNames: selections.map(({ vocabularyFilterName }) => vocabularyFilterName).filter(Boolean),
+    vocabularyFilterMethod: filtered ? filtered.vocabularyFilterMethod || 'mask' : null
+  };
+}
+
+/**
+ * Streaming settings for a language selection. Auto-detect lists every
+ * language as a candidate with Hebrew preferred; vocabularies are then passed
+ * as a list, one per language.
+ */
+export function getTranscribeLanguageSettings(language, vocabularySettings) {
+  const { vocabularyNames, vocabularyFilterNames, vocabularyFilterMethod } =
+    getSessionVocabulary(language, vocabularySettings);
+  const filterMethod = vocabularyFilterMethod && { VocabularyFilterMethod: vocabularyFilterMethod };
+
+  if (!isAutoDetect(language)) {
+    return {
+      LanguageCode: language,
+      ...(vocabularyNames.length > 0 && { VocabularyName: vocabularyNames[0] }),
+      ...(vocabularyFilterNames.length > 0 && { VocabularyFilterName: vocabularyFilterNames[0] }),
+      ...filterMethod
+    };
+  }
+
+  return {
+    IdentifyLanguage: true,
+    LanguageOptions: Object.keys(LANGUAGES).join(','),
+    PreferredLanguage: DEFAULT_LANGUAGE,
+    ...(vocabularyNames.length > 0 && { VocabularyNames: vocabularyNames.join(',') }),
+    ...(vocabularyFilterNames.length > 0 && { VocabularyFilterNames: vocabularyFilterNames.join(',') }),
+    ...filterMethod
+  };
+}
+
+// Object metadata read by the backend that starts batch jobs for uploads
+export function getUploadLanguageOptions(language, vocabularySettings) {
+  const { vocabularyNames, vocabularyFilterNames, vocabularyFilterMethod } =
+    getSessionVocabulary(language, vocabularySettings);
+  const vocabularyOptions = {
+    vocabulary: vocabularyNames.join(',') || undefined,
+    'vocabulary-filter': vocabularyFilterNames.join(',') || undefined,
+    'vocabulary-filter-method': vocabularyFilterMethod || undefined
+  };
+
+  if (!isAutoDetect(language)) {
+    return { language, ...vocabularyOptions };
+  }
+
+  return {
+    language: AUTO_DETECT,
+    'identify-language': 'true',
+    'language-options': Object.keys(LANGUAGES).join(','),
+    'preferred-language': DEFAULT_LANGUAGE,
+    ...vocabularyOptions
+  };
+}
+
+/**
+ * Language a session ended up in: the one chosen, or for auto-detect the
+ * language identified for most of the transcript segments.
+ */
+export function resolveSessionLanguage(language, segments = []) {
+  if (!isAutoDetect(language)) return language;
+
+  const counts = {};
+  segments.forEach(({ language: segmentLanguage }) => {
+    if (segmentLanguage) counts[segmentLanguage] = (counts[segmentLanguage] || 0) + 1;
+  });
+  const [identified] = Object.entries(counts).sort(([, a], [, b]) => b - a);
+  return identified ? identified[0] : AUTO_DETECT;
+}
+
+// Counts strong RTL (Hebrew/Arabic) against LTR letters, ignoring the
+// Hebrew speaker labels that every transcript carries
+function guessDirection(text) {
+  const content = text.replace(/\[?דובר \d+\]?/g, '');
+  const rtl = (content.match(/[֐-׿؀-ۿ]/g) || []).length;
+  const ltr = (content.match(/[A-Za-zЀ-ӿ]/g) || []).length;
+  return ltr > rtl ? 'ltr' : 'rtl';
+}
+
+// Text direction for a session; auto-detected or unknown languages are
+// guessed from the text itself
+export function getTextDirection(language, text = '') {
+  if (LANGUAGES[language]) return LANGUAGES[language].dir;
+  return guessDirection(text);
+}
@@ -0,0 +1,147 @@
+const DB_NAME = 'transcriber-sessions';
+const DB_VERSION = 1;
+
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+// All rows of one session, for stores keyed by [sessionId, n]
+const sessionRange = (sessionId) => IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]);
+
+/**
+ * Keeps in-progress recordings in IndexedDB so a crash, a reload or a failed
+ * upload doesn't lose the encounter. A session stays here until it has been
+ * uploaded to S3, so anything left over on load is an unfinished session.
+ */
+class LocalSessionStore {
+  constructor() {
+    this.dbPromise = null;
+    this.chunkCounters = new Map();
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore('sessions', { keyPath: 'sessionId' });
+          db.createObjectStore('chunks', { keyPath: ['sessionId', 'seq'] });
+          db.createObjectStore('segments', { keyPath: ['sessionId', 'index'] });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async startSession(sessionId, details = {}) {
+    this.chunkCounters.set(sessionId, 0);
+    const db = await this.open();
+    const transaction = db.transaction('sessions', 'readwrite');
+    const now = new Date().toISOString();
+    transaction.objectStore('sessions').put({
+      ...details,
+      sessionId,
+      startedAt: now,
+      updatedAt: now
+    });
+    await transactionDone(transaction);
+  }
+
+  async updateSession(sessionId, changes) {
+    const db = await this.open();
+    const transaction = db.transaction('sessions', 'readwrite');
+    const store = transaction.objectStore('sessions');
+    const session = await requestToPromise(store.get(sessionId));
+    if (session) {
+      store.put({ ...session, ...changes, updatedAt: new Date().toISOString() });
+    }
+    await transactionDone(transaction);
+  }
+
+  async appendChunk(sessionId, data) {
+    const seq = this.chunkCounters.get(sessionId) || 0;
+    this.chunkCounters.set(sessionId, seq + 1);
+
+    const db = await this.open();
+    const transaction = db.transaction('chunks', 'readwrite');
+    transaction.objectStore('chunks').put({ sessionId, seq, data });
+    await transactionDone(transaction);
+  }
+
+  async saveSegment(sessionId, index, segment) {
+    const db = await this.open();
+    const transaction = db.transaction('segments', 'readwrite');
+    transaction.objectStore('segments').put({ sessionId, index, segment });
+    await transactionDone(transaction);
+  }
+
+  // Rewrites all segments, for edits that remove or merge earlier ones
+  async replaceSegments(sessionId, segments) {
+    const db = await this.open();
+    const transaction = db.transaction('segments', 'readwrite');
+    const store = transaction.objectStore('segments');
+    store.delete(sessionRange(sessionId));
+    segments.forEach((segment, index) => store.put({ sessionId, index, segment }));
+    await transactionDone(transaction);
+  }
+
+  async getUnfinishedSessions() {
+    const db = await this.open();
+    const transaction = db.transaction(['sessions', 'segments'], 'readonly');
+    const sessions = await requestToPromise(transaction.objectStore('sessions').getAll());
+
+    const segmentCounts = await Promise.all(sessions.map(session =>
+      requestToPromise(transaction.objectStore('segments').count(sessionRange(session.sessionId)))
+    ));
+
+    return sessions
+      .map((session, i) => ({ ...session, segmentCount: segmentCounts[i] }))
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  async loadSession(sessionId) {
+    const db = await this.open();
+    const transaction = db.transaction(['sessions', 'chunks', 'segments'], 'readonly');
+
+    const [session, chunks, segments] = await Promise.all([
+      requestToPromise(transaction.objectStore('sessions').get(sessionId)),
+      requestToPromise(transaction.objectStore('chunks').getAll(sessionRange(sessionId))),
+      requestToPromise(transaction.objectStore('segments').getAll(sessionRange(sessionId)))
+    ]);
+
+    if (!session) {
+      throw new Error(`No local data for session ${sessionId}`);
+    }
+
+    return {
+      session,
+      chunks: chunks.map(({ data }) => data),
+      // Rows from before word-level segments only stored the line of text
+      segments: segments.map(({ segment, text }) => segment || { speaker: null, text, items: [] })
+    };
+  }
+
+  async deleteSession(sessionId) {
+    const db = await this.open();
+    const transaction = db.transaction(['sessions', 'chunks', 'segments'], 'readwrite');
+    transaction.objectStore('sessions').delete(sessionId);
+    transaction.objectStore('chunks').delete(sessionRange(sessionId));
+    transaction.objectStore('segments').delete(sessionRange(sessionId));
+    this.chunkCounters.delete(sessionId);
+    await transactionDone(transaction);
+  }
+}
+
+export default new LocalSessionStore();
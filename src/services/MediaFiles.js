@@ -0,0 +1,92 @@
+import { extractAudio, normalizeAudio } from './AudioNormalizer';
+
+// List of supported audio MIME types including all MPEG variations
+const SUPPORTED_AUDIO_TYPES = [
+  'audio/mpeg',      // MP3/MPEG files
+  'audio/x-mpeg',    // Alternative MPEG MIME type
+  'video/mpeg',      // MPEG files sometimes use video MIME type
+  'audio/mpeg3',     // Alternative MPEG3 MIME type
+  'audio/x-mpeg3',   // Alternative MPEG3 MIME type
+  'audio/mp3',       // MP3 files
+  'audio/x-mp3',     // Alternative MP3 MIME type
+  'audio/mp4',       // M4A files
+  'audio/wav',       // WAV files
+  'audio/x-wav',     // Alternative WAV MIME type
+  'audio/webm',      // WebM audio
+  'audio/ogg',       // OGG files
+  'audio/aac',       // AAC files
+  'audio/x-m4a',     // Alternative M4A MIME type
+  'audio/flac'       // FLAC files
+];
+
+// Video whose audio track is extracted in the browser before upload
+const SUPPORTED_VIDEO_TYPES = [
+  'video/mp4',
+  'video/webm',
+  'video/quicktime', // MOV files
+  'video/x-matroska',
+  'video/x-m4v'
+];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'mkv', 'm4v'];
+
+export const ACCEPTED_MEDIA = 'audio/*,video/*';
+
+/**
+ * 'audio', 'video' or null for files we can't take. Types are checked first,
+ * then the extension for files the browser gives no (or a generic) type.
+ */
+export function getSourceType(file) {
+  if (SUPPORTED_AUDIO_TYPES.includes(file.type)) return 'audio';
+  if (SUPPORTED_VIDEO_TYPES.includes(file.type)) return 'video';
+
+  const extension = (file.name || '').toLowerCase().split('.').pop();
+  if (extension === 'mpeg') return 'audio';
+  if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+  return null;
+}
+
+// Duration from the media element's metadata, without decoding the file
+export function getMediaDuration(file) {
+  return new Promise(resolve => {
+    const element = document.createElement('video');
+    const url = URL.createObjectURL(file);
+    const done = (duration) => {
+      URL.revokeObjectURL(url);
+      resolve(Number.isFinite(duration) ? duration : null);
+    };
+
+    element.preload = 'metadata';
+    element.onloadedmetadata = () => done(element.duration);
+    element.onerror = () => done(null);
+    element.src = url;
+  });
+}
+
+/**
+ * Turns a selected file into what gets uploaded, plus session metadata about
+ * the original: normalized if asked, audio extracted from video (video is
+ * never uploaded as is), anything else unchanged. Returns the
+ * normalizeAudio/extractAudio result shape with a metadata field.
+ */
+export async function prepareMediaFile(file, { normalize = false } = {}) {
+  const sourceType = getSourceType(file);
+  const metadata = {
+    sourceType,
+    originalFile: { name: file.name, type: file.type, size: file.size }
+  };
+
+  if (normalize || sourceType === 'video') {
+    const result = normalize ? await normalizeAudio(file) : await extractAudio(file);
+    return {
+      ...result,
+      metadata: { ...metadata, durationSeconds: result.originalDuration, normalized: normalize }
+    };
+  }
+
+  return {
+    file,
+    originalSize: file.size,
+    size: file.size,
+    metadata: { ...metadata, durationSeconds: await getMediaDuration(file), normalized: false }
+  };
+}
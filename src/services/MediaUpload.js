@@ -0,0 +1,341 @@
+import {
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import S3Service from './S3Service';
+
+const PENDING_STORAGE_KEY = 'transcriber.pendingUploads';
+
+// Files above this go up in parts; S3 needs parts of at least 5 MB
+export const MULTIPART_THRESHOLD = 10 * 1024 * 1024;
+const MIN_PART_SIZE = 8 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const CONCURRENT_PARTS = 3;
+const PART_ATTEMPTS = 4;
+
+export const UPLOAD_PAUSED = 'UploadPaused';
+export const UPLOAD_CANCELLED = 'UploadCancelled';
+
+const uploadError = (name, message) => Object.assign(new Error(message), { name });
+
+// Identifies the same file picked again after a reload
+const getFileFingerprint = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+function readPendingUploads() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Error reading pending uploads:', error);
+    return {};
+  }
+}
+
+function writePendingUploads(uploads) {
+  localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(uploads));
+}
+
+// Multipart uploads interrupted by a reload, to resume by picking the file again
+export function getPendingUploads() {
+  return Object.entries(readPendingUploads()).map(([fingerprint, upload]) => ({ fingerprint, ...upload }));
+}
+
+export function findPendingUpload(file) {
+  return readPendingUploads()[getFileFingerprint(file)] || null;
+}
+
+// Gives up on an interrupted upload and frees its parts in S3
+export async function discardPendingUpload(fingerprint) {
+  const uploads = readPendingUploads();
+  const upload = uploads[fingerprint];
+  delete uploads[fingerprint];
+  writePendingUploads(uploads);
+
+  if (upload) {
+    await S3Service.client.send(new AbortMultipartUploadCommand({
+      Bucket: S3Service.bucketName,
+      Key: upload.key,
+      UploadId: upload.uploadId
+    }));
+  }
+}
+
+// PUT through XMLHttpRequest, since fetch can't report upload progress
+function putWithProgress(url, body, headers, onProgress, requests) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    requests.add(xhr);
+    xhr.open('PUT', url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (event) => onProgress(event.loaded);
+    xhr.onload = () => {
+      requests.delete(xhr);
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(xhr);
+      } else {
+        reject(new Error(`Upload failed: ${xhr.status} ${xhr.statusText} - ${xhr.responseText}`));
+      }
+    };
+    xhr.onerror = () => {
+      requests.delete(xhr);
+      reject(new Error('Upload failed: network error'));
+    };
+    xhr.onabort = () => {
+      requests.delete(xhr);
+      reject(uploadError(UPLOAD_PAUSED, 'Upload stopped'));
+    };
+    xhr.send(body);
+  });
+}
+
+/**
+ * Uploads a media file to media-loads/<sessionId> for batch transcription,
+ * with options attached as object metadata (x-amz-meta-*) for the backend
+ * that starts the Transcribe job. Large files go up as a multipart upload
+ * whose ID is kept in localStorage, so a failed part is retried on its own
+ * and an upload can be paused, or resumed after a reload. A part that still
+ * fails after PART_ATTEMPTS stops the other parts; start() again carries on.
+ *
+ * start() resolves when the upload completes and rejects with an error named
+ * UPLOAD_PAUSED or UPLOAD_CANCELLED after pause() or cancel(); calling it
+ * again after a pause carries on from the parts already uploaded.
+ * onProgress gets { loaded, total } in bytes.
+ */
+class MediaUpload {
+  constructor(file, sessionId, transcriptionOptions = {}, { onProgress } = {}) {
+    this.file = file;
+    this.sessionId = sessionId;
+    this.key = `media-loads/${sessionId}`;
+    this.onProgress = onProgress;
+    this.metadata = Object.fromEntries(
+      Object.entries(transcriptionOptions)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => [name, String(value)])
+    );
+    this.fingerprint = getFileFingerprint(file);
+    this.isMultipart = file.size > MULTIPART_THRESHOLD;
+    this.partSize = Math.max(MIN_PART_SIZE, Math.ceil(file.size / MAX_PARTS));
+    const pending = findPendingUpload(file);
+    this.uploadId = pending?.key === this.key ? pending.uploadId : null;
+    this.requests = new Set();
+    this.stopReason = null;
+    // First part that failed for good in the current multipart run
+    this.partFailure = null;
+  }
+
+  async start() {
+    this.stopReason = null;
+    try {
+      if (this.isMultipart) {
+        await this.uploadMultipart();
+      } else {
+        await this.uploadSingle();
+      }
+    } catch (error) {
+      throw this.stopReason ? uploadError(this.stopReason, 'Upload stopped') : error;
+    }
+    return { success: true, key: this.key, sessionId: this.sessionId };
+  }
+
+  pause() {
+    this.stop(UPLOAD_PAUSED);
+  }
+
+  async cancel() {
+    this.stop(UPLOAD_CANCELLED);
+    if (this.uploadId) {
+      await discardPendingUpload(this.fingerprint);
+      this.uploadId = null;
+    }
+  }
+
+  stop(reason) {
+    this.stopReason = reason;
+    this.requests.forEach(xhr => xhr.abort());
+  }
+
+  // Requests that would start after a pause or cancel don't
+  put(url, body, headers, onProgress) {
+    if (this.stopReason) {
+      return Promise.reject(uploadError(this.stopReason, 'Upload stopped'));
+    }
+    return putWithProgress(url, body, headers, onProgress, this.requests);
+  }
+
+  reportProgress(loaded) {
+    if (this.onProgress) this.onProgress({ loaded, total: this.file.size });
+  }
+
+  async uploadSingle() {
+    const command = new PutObjectCommand({
+      Bucket: S3Service.bucketName,
+      Key: this.key,
+      ContentType: this.file.type,
+      Metadata: this.metadata
+    });
+    const metadataHeaders = Object.fromEntries(
+      Object.entries(this.metadata).map(([name, value]) => [`x-amz-meta-${name}`, value])
+    );
+
+    // Metadata is signed as headers, so the PUT has to send them
+    const signedUrl = await getSignedUrl(S3Service.client, command, {
+      expiresIn: 3600,
+      unhoistableHeaders: new Set(Object.keys(metadataHeaders))
+    });
+
+    await this.put(
+      signedUrl,
+      this.file,
+      { 'Content-Type': this.file.type, ...metadataHeaders },
+      loaded => this.reportProgress(loaded)
+    );
+    this.reportProgress(this.file.size);
+  }
+
+  async uploadMultipart() {
+    if (!this.uploadId) {
+      const { UploadId } = await S3Service.client.send(new CreateMultipartUploadCommand({
+        Bucket: S3Service.bucketName,
+        Key: this.key,
+        ContentType: this.file.type,
+        Metadata: this.metadata
+      }));
+      this.uploadId = UploadId;
+      writePendingUploads({
+        ...readPendingUploads(),
+        [this.fingerprint]: {
+          uploadId: UploadId,
+          key: this.key,
+          sessionId: this.sessionId,
+          fileName: this.file.name,
+          startedAt: new Date().toISOString()
+        }
+      });
+    }
+
+    // S3 knows which parts arrived, including those from before a reload
+    let uploadedParts;
+    try {
+      uploadedParts = await this.listUploadedParts();
+    } catch (error) {
+      if (error.name !== 'NoSuchUpload') throw error;
+      // Aborted or expired by a lifecycle rule; start over
+      this.uploadId = null;
+      return this.uploadMultipart();
+    }
+    const completed = new Map(uploadedParts.map(part => [part.PartNumber, part]));
+    const partCount = Math.ceil(this.file.size / this.partSize);
+    const queue = Array.from({ length: partCount }, (_, i) => i + 1)
+      .filter(partNumber => !completed.has(partNumber));
+    const inFlight = new Map();
+
+    const completedBytes = () => Array.from(completed.values()).reduce((sum, part) => sum + part.Size, 0);
+    const updateProgress = () => this.reportProgress(
+      completedBytes() + Array.from(inFlight.values()).reduce((sum, loaded) => sum + loaded, 0)
+    );
+    updateProgress();
+
+    const worker = async () => {
+      while (queue.length > 0 && !this.stopReason && !this.partFailure) {
+        const partNumber = queue.shift();
+        try {
+          const part = await this.uploadPart(partNumber, loaded => {
+            inFlight.set(partNumber, loaded);
+            updateProgress();
+          });
+          completed.set(partNumber, part);
+        } catch (error) {
+          // The first failure stops the other parts; the upload stays resumable
+          if (!this.stopReason && !this.partFailure) {
+            this.partFailure = error;
+            this.requests.forEach(xhr => xhr.abort());
+          }
+        } finally {
+          inFlight.delete(partNumber);
+          updateProgress();
+        }
+      }
+    };
+
+    this.partFailure = null;
+    await Promise.all(Array.from({ length: Math.min(CONCURRENT_PARTS, queue.length) }, worker));
+    if (this.stopReason) {
+      throw uploadError(this.stopReason, 'Upload stopped');
+    }
+    if (this.partFailure) {
+      throw this.partFailure;
+    }
+
+    await S3Service.client.send(new CompleteMultipartUploadCommand({
+      Bucket: S3Service.bucketName,
+      Key: this.key,
+      UploadId: this.uploadId,
+      MultipartUpload: {
+        Parts: Array.from(completed.values())
+          .sort((a, b) => a.PartNumber - b.PartNumber)
+          .map(({ PartNumber, ETag }) => ({ PartNumber, ETag }))
+      }
+    }));
+
+    const uploads = readPendingUploads();
+    delete uploads[this.fingerprint];
+    writePendingUploads(uploads);
+  }
+
+  async listUploadedParts() {
+    const parts = [];
+    let marker;
+
+    do {
+      const response = await S3Service.client.send(new ListPartsCommand({
+        Bucket: S3Service.bucketName,
+        Key: this.key,
+        UploadId: this.uploadId,
+        PartNumberMarker: marker
+      }));
+      parts.push(...(response.Parts || []));
+      marker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+    } while (marker);
+
+    return parts;
+  }
+
+  // Retries one part with backoff; a pause, cancel or another part's
+  // failure ends the attempts
+  async uploadPart(partNumber, onProgress) {
+    const start = (partNumber - 1) * this.partSize;
+    const body = this.file.slice(start, Math.min(start + this.partSize, this.file.size));
+
+    for (let attempt = 1; ; attempt++) {
+      if (this.partFailure) throw this.partFailure;
+      try {
+        const signedUrl = await getSignedUrl(S3Service.client, new UploadPartCommand({
+          Bucket: S3Service.bucketName,
+          Key: this.key,
+          UploadId: this.uploadId,
+          PartNumber: partNumber
+        }), { expiresIn: 3600 });
+
+        const xhr = await this.put(signedUrl, body, {}, onProgress);
+        // Needs ETag in the bucket's CORS ExposeHeaders
+        const etag = xhr.getResponseHeader('ETag');
+        if (!etag) {
+          throw new Error('Upload failed: no ETag returned for part ' + partNumber);
+        }
+        return { PartNumber: partNumber, ETag: etag, Size: body.size };
+      } catch (error) {
+        if (this.stopReason || this.partFailure || attempt >= PART_ATTEMPTS) throw error;
+        console.log(`Retrying part ${partNumber} after error:`, error.message);
+        onProgress(0);
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+      }
+    }
+  }
+}
+
+export default MediaUpload;
@@ -0,0 +1,298 @@
+import S3Service from './S3Service';
+import { escapeHtml } from './SpeakerLabels';
+
+// Placeholder labels per detection type; configured patterns bring their own
+export const PII_TYPES = {
+  id: 'ת״ז',
+  phone: 'טלפון',
+  email: 'דוא״ל',
+  dob: 'תאריך לידה',
+  name: 'שם'
+};
+
+const PATTERNS_CONFIG_KEY = '_config/redaction-patterns.json';
+
+// "[שם #1]": a label and a number within that label
+const PLACEHOLDER_PATTERN = /\[([^\]#[]+) #(\d+)\]/g;
+
+// Transcripts are redacted only when a public key is configured, since the
+// originals could never be restored otherwise
+export const isRedactionEnabled = () => Boolean(process.env.REACT_APP_REDACTION_PUBLIC_KEY);
+
+// Israeli ID check digit (Luhn variant); 8-digit IDs have an implied leading 0
+export function isValidIsraeliId(value) {
+  const digits = value.padStart(9, '0');
+  if (!/^\d{9}$/.test(digits)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    let product = Number(digits[i]) * (i % 2 === 0 ? 1 : 2);
+    if (product > 9) product -= 9;
+    sum += product;
+  }
+  return sum % 10 === 0;
+}
+
+const NAME_STOP_WORDS = new Set(['אני', 'ואני', 'הוא', 'היא', 'and', 'is', 'i', 'am']);
+
+// Built-in detectors, in priority order for overlapping matches. Each returns
+// [{ start, end, value }] for one type.
+const DETECTORS = [
+  ['email', (text) => matchAll(text, /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g)],
+  ['phone', (text) => matchAll(text, /(?:\+972[-\s]?|\b0)(?:5\d|7\d|[23489])[-\s]?\d{3}[-\s]?\d{4}\b/g)],
+  ['id', (text) => matchAll(text, /\b\d{8,9}\b/g).filter(({ value }) => isValidIsraeliId(value))],
+  ['dob', (text) => matchAll(
+    text,
+    /(?:נולד(?:ה)?(?:\s+ב)?|תאריך לידה|ת\.\s?לידה|born(?: on)?|date of birth|DOB)[:\s-]*(\d{1,2}[./-]\d{1,2}[./-]\d{2,4})/gi,
+    1
+  )],
+  ['name', (text) => [
+    // Full names after introductions, surnames after titles
+    ...matchAll(text, /(?:שמי|קוראים לי|שם המטופל(?:ת)?(?:\s+הוא|\s+היא)?|my name is|patient(?:'s)? name is)[:\s]+([^\s,.:;!?"]+(?:\s+[^\s,.:;!?"]+)?)/gi, 1)
+      .map(trimNameStopWords),
+    ...matchAll(text, /(?:מר|גברת|גב'|ד"ר|ד״ר|פרופ'|Mr\.?|Mrs\.?|Ms\.?|Dr\.?)\s+([^\s,.:;!?"]+)/g, 1)
+  ].filter(({ value }) => value && !NAME_STOP_WORDS.has(value.toLowerCase()))]
+];
+
+// Matches of a regex, or of one of its groups, with their positions
+function matchAll(text, regex, group = 0) {
+  return Array.from(text.matchAll(regex)).map(match => {
+    const value = match[group];
+    const start = match.index + match[0].lastIndexOf(value);
+    return { start, end: start + value.length, value };
+  });
+}
+
+// "שמי יוסי ואני..." captures two words; drop the second if it isn't a name
+function trimNameStopWords(match) {
+  const words = match.value.split(/\s+/);
+  if (words.length < 2 || !NAME_STOP_WORDS.has(words[1].toLowerCase())) return match;
+  return { ...match, end: match.start + words[0].length, value: words[0] };
+}
+
+let cachedPatterns = null;
+
+/**
+ * Extra patterns configured in S3, as
+ * [{ "label": "מספר תיק", "pattern": "\\b\\d{7}\\b", "flags": "i" }].
+ */
+export async function loadRedactionPatterns() {
+  if (!cachedPatterns) {
+    try {
+      cachedPatterns = JSON.parse(await S3Service.readObjectText(PATTERNS_CONFIG_KEY));
+    } catch (error) {
+      if (error.name !== 'NoSuchKey') {
+        console.error('Error reading redaction patterns:', error);
+      }
+      cachedPatterns = [];
+    }
+  }
+  return cachedPatterns;
+}
+
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Applies an existing mapping to other text, e.g. segment text, replacing
+// whole words only so a short name doesn't hit the middle of another word
+function applyMapping(text, mapping) {
+  return Object.entries(mapping)
+    .sort(([, a], [, b]) => b.length - a.length)
+    .reduce((result, [placeholder, original]) => result.replace(
+      new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(original)}(?![\\p{L}\\p{N}])`, 'gu'),
+      placeholder
+    ), text || '');
+}
+
+/**
+ * Replaces every detection with a typed, numbered placeholder such as
+ * "[שם #1]". The same value always gets the same placeholder, and numbering
+ * follows the order of appearance, so redacting the same text twice gives
+ * the same result. Returns the text and the placeholder -> original mapping.
+ * Numbering starts after the placeholders in numberAfter, an already
+ * redacted text sent along with this one, so the two don't share numbers.
+ */
+export function redactText(text, customPatterns = [], { numberAfter = '' } = {}) {
+  if (!text) return { text, mapping: {} };
+
+  const detectors = [
+    ...DETECTORS,
+    ...customPatterns.map(({ label, pattern, flags = '' }) => [
+      label,
+      (input) => matchAll(input, new RegExp(pattern, flags.includes('g') ? flags : flags + 'g'))
+    ])
+  ];
+
+  // Earlier detectors win where matches overlap
+  const accepted = [];
+  detectors.forEach(([type, detect]) => {
+    detect(text).forEach(match => {
+      if (match.end > match.start &&
+        !accepted.some(other => match.start < other.end && other.start < match.end)) {
+        accepted.push({ ...match, label: PII_TYPES[type] || type });
+      }
+    });
+  });
+  accepted.sort((a, b) => a.start - b.start);
+
+  const mapping = {};
+  const placeholders = new Map();
+  const counters = {};
+  Array.from(numberAfter.matchAll(PLACEHOLDER_PATTERN)).forEach(([, label, number]) => {
+    counters[label] = Math.max(counters[label] || 0, Number(number));
+  });
+  let result = '';
+  let position = 0;
+
+  accepted.forEach(({ start, end, value, label }) => {
+    const key = `${label}\u0000${value}`;
+    if (!placeholders.has(key)) {
+      counters[label] = (counters[label] || 0) + 1;
+      const placeholder = `[${label} #${counters[label]}]`;
+      placeholders.set(key, placeholder);
+      mapping[placeholder] = value;
+    }
+    result += text.slice(position, start) + placeholders.get(key);
+    position = end;
+  });
+
+  // Values found once (e.g. a name after "שמי") are redacted wherever they recur
+  return { text: applyMapping(result + text.slice(position), mapping), mapping };
+}
+
+/**
+ * Redacts segments with the mapping of the whole transcript. Word items that
+ * make up a redacted value are merged into one item holding the placeholder.
+ */
+export function redactSegments(segments, mapping) {
+  const values = Object.entries(mapping).map(([placeholder, original]) => ({
+    placeholder,
+    words: original.split(/\s+/)
+  }));
+
+  return segments.map(segment => {
+    const items = [];
+    const source = segment.items || [];
+
+    for (let i = 0; i < source.length; i++) {
+      const match = values.find(({ words }) =>
+        words.every((word, offset) => source[i + offset]?.content === word)
+      );
+      if (match) {
+        const last = source[i + match.words.length - 1];
+        items.push({ ...source[i], content: match.placeholder, endTime: last.endTime });
+        i += match.words.length - 1;
+      } else {
+        items.push({ ...source[i], content: applyMapping(source[i].content, mapping) });
+      }
+    }
+
+    return { ...segment, text: applyMapping(segment.text, mapping), items };
+  });
+}
+
+// Puts the originals back; pass { html: true } for text rendered as HTML
+export function restoreText(text, mapping, { html = false } = {}) {
+  if (!text || !mapping) return text;
+  return text.replace(PLACEHOLDER_PATTERN, placeholder => {
+    const original = mapping[placeholder];
+    if (original === undefined) return placeholder;
+    return html ? escapeHtml(original) : original;
+  });
+}
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+const pemToDer = (pem) => fromBase64(pem.replace(/-----[^-]+-----/g, '').replace(/\s+/g, ''));
+
+const RSA_PARAMS = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+/**
+ * Encrypts a mapping for storage: a fresh AES-GCM key encrypts the mapping
+ * and the RSA-OAEP public key from the environment encrypts that key, so
+ * only holders of the private key can read it.
+ */
+export async function encryptMapping(mapping) {
+  const publicKey = await crypto.subtle.importKey(
+    'spki',
+    pemToDer(process.env.REACT_APP_REDACTION_PUBLIC_KEY),
+    RSA_PARAMS,
+    false,
+    ['encrypt']
+  );
+  const aesKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    aesKey,
+    new TextEncoder().encode(JSON.stringify(mapping))
+  );
+  const encryptedKey = await crypto.subtle.encrypt(
+    RSA_PARAMS,
+    publicKey,
+    await crypto.subtle.exportKey('raw', aesKey)
+  );
+
+  return {
+    version: 1,
+    algorithm: 'RSA-OAEP-256/AES-256-GCM',
+    encryptedKey: toBase64(encryptedKey),
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext)
+  };
+}
+
+// Imports a PKCS#8 PEM private key; it stays in memory only
+export function importPrivateKey(pem) {
+  return crypto.subtle.importKey('pkcs8', pemToDer(pem), RSA_PARAMS, false, ['decrypt']);
+}
+
+export async function decryptMapping(encrypted, privateKey) {
+  const rawKey = await crypto.subtle.decrypt(RSA_PARAMS, privateKey, fromBase64(encrypted.encryptedKey));
+  const aesKey = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(encrypted.iv) },
+    aesKey,
+    fromBase64(encrypted.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Redacts a session's transcript and stores the encrypted mapping apart from
+ * it. Returns the redacted text and segments, or the input unchanged when
+ * redaction isn't configured.
+ */
+export async function redactSession(sessionId, text, segments = []) {
+  if (!isRedactionEnabled()) {
+    return { text, segments, redacted: false };
+  }
+
+  const customPatterns = await loadRedactionPatterns();
+  const { text: redactedText, mapping } = redactText(text, customPatterns);
+
+  if (Object.keys(mapping).length > 0) {
+    await S3Service.saveRedactionMap(sessionId, await encryptMapping(mapping));
+  }
+
+  return {
+    text: redactedText,
+    segments: redactSegments(segments, mapping),
+    redacted: true
+  };
+}
+
+/**
+ * Redacts a stored transcript that isn't redacted yet (batch output, or one
+ * saved before redaction was set up) and writes it back redacted, so the
+ * original doesn't stay in S3 and the mapping is made only once.
+ */
+export async function redactStoredTranscription(sessionId, transcription) {
+  if (transcription.redacted || !isRedactionEnabled()) {
+    return transcription;
+  }
+
+  const { text, segments } = await redactSession(sessionId, transcription.text, transcription.segments);
+  await S3Service.uploadTranscription(text, sessionId, segments, { redacted: true });
+  return { text, segments, redacted: true };
+}
@@ -0,0 +1,120 @@
+import { isValidIsraeliId, redactText, redactSegments } from './Redaction';
+
+// Only the pure helpers are tested; nothing here reaches S3
+jest.mock('./S3Service', () => ({}));
+
+describe('isValidIsraeliId', () => {
+  it('accepts IDs with a valid check digit', () => {
+    expect(isValidIsraeliId('123456782')).toBe(true);
+    expect(isValidIsraeliId('000000018')).toBe(true);
+  });
+
+  it('pads 8-digit IDs with a leading zero', () => {
+    expect(isValidIsraeliId('12345674')).toBe(true);
+  });
+
+  it('rejects a wrong check digit or non-digits', () => {
+    expect(isValidIsraeliId('123456789')).toBe(false);
+    expect(isValidIsraeliId('12345678a')).toBe(false);
+    expect(isValidIsraeliId('1234567890')).toBe(false);
+  });
+});
+
+describe('redactText', () => {
+  it('replaces IDs, phone numbers and emails with typed placeholders', () => {
+    const { text, mapping } = redactText('ת"ז 123456782, טלפון 050-1234567, מייל dana@example.com');
+
+    expect(text).toBe('ת"ז [ת״ז #1], טלפון [טלפון #1], מייל [דוא״ל #1]');
+    expect(mapping).toEqual({
+      '[ת״ז #1]': '123456782',
+      '[טלפון #1]': '050-1234567',
+      '[דוא״ל #1]': 'dana@example.com'
+    });
+  });
+
+  it('leaves numbers that fail the ID check digit', () => {
+    expect(redactText('מספר 123456789').text).toBe('מספר 123456789');
+  });
+
+  it('redacts names after introductions and titles', () => {
+    const { text, mapping } = redactText('שמי יוסי ואני מגיע לד"ר כהן');
+
+    expect(text).toBe('שמי [שם #1] ואני מגיע לד"ר [שם #2]');
+    expect(mapping).toEqual({ '[שם #1]': 'יוסי', '[שם #2]': 'כהן' });
+  });
+
+  it('gives a repeated value the same placeholder, also where no detector sees it', () => {
+    const { text, mapping } = redactText('שמי יוסי. יוסי סובל מכאבים, ת"ז 123456782 ושוב 123456782');
+
+    expect(text).toBe('שמי [שם #1]. [שם #1] סובל מכאבים, ת"ז [ת״ז #1] ושוב [ת״ז #1]');
+    expect(Object.keys(mapping)).toEqual(['[שם #1]', '[ת״ז #1]']);
+  });
+
+  it('numbers placeholders by order of appearance, the same every time', () => {
+    const input = 'טלפון 050-1234567 או 02-6777777';
+    const first = redactText(input);
+
+    expect(first.text).toBe('טלפון [טלפון #1] או [טלפון #2]');
+    expect(redactText(input)).toEqual(first);
+  });
+
+  it('applies configured patterns under their own label', () => {
+    const { text, mapping } = redactText('מספר תיק 7654321', [
+      { label: 'מספר תיק', pattern: '\\b\\d{7}\\b' }
+    ]);
+
+    expect(text).toBe('מספר תיק [מספר תיק #1]');
+    expect(mapping).toEqual({ '[מספר תיק #1]': '7654321' });
+  });
+
+  it('numbers on from the placeholders of a text sent along with it', () => {
+    const { text, mapping } = redactText('רופא/ה מטפל/ת: ד"ר כהן', [], {
+      numberAfter: 'שמי [שם #1], [שם #2] ו-[טלפון #1]'
+    });
+
+    expect(text).toBe('רופא/ה מטפל/ת: ד"ר [שם #3]');
+    expect(mapping).toEqual({ '[שם #3]': 'כהן' });
+  });
+
+  it('returns empty text as it is', () => {
+    expect(redactText('')).toEqual({ text: '', mapping: {} });
+  });
+});
+
+describe('redactSegments', () => {
+  const item = (content, startTime, endTime) => ({ content, startTime, endTime });
+
+  it('merges the word items of a redacted value into one placeholder item', () => {
+    const segments = [{
+      speaker: 'spk_0',
+      text: 'קוראים לי דנה לוי היום',
+      items: [item('קוראים', 0, 0.4), item('לי', 0.4, 0.6), item('דנה', 0.6, 1), item('לוי', 1, 1.3), item('היום', 1.3, 1.8)]
+    }];
+    const { mapping } = redactText(segments[0].text);
+
+    const [segment] = redactSegments(segments, mapping);
+
+    expect(segment.text).toBe('קוראים לי [שם #1] היום');
+    expect(segment.items.map(({ content }) => content)).toEqual(['קוראים', 'לי', '[שם #1]', 'היום']);
+    expect(segment.items[2]).toEqual(item('[שם #1]', 0.6, 1.3));
+    expect(segment.speaker).toBe('spk_0');
+  });
+
+  it('redacts a value recurring in a segment of its own', () => {
+    const segments = [
+      { text: 'שמי יוסי.', items: [item('שמי', 0, 0.3), item('יוסי.', 0.3, 0.7)] },
+      { text: 'יוסי, שב', items: [item('יוסי,', 2, 2.4), item('שב', 2.4, 2.6)] }
+    ];
+    const { mapping } = redactText(segments.map(segment => segment.text).join('\n'));
+
+    const redacted = redactSegments(segments, mapping);
+
+    expect(redacted[1].text).toBe('[שם #1], שב');
+    expect(redacted[1].items[0].content).toBe('[שם #1],');
+  });
+
+  it('leaves segments without detections unchanged', () => {
+    const segments = [{ text: 'אין כאן כלום', items: [item('אין', 0, 0.2)] }];
+    expect(redactSegments(segments, {})).toEqual(segments);
+  });
+});
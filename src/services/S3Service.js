@@ -1,6 +1,36 @@
-import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import { v4 as uuidv4 } from 'uuid';
+import { RECORDING_FORMATS } from './AudioEncoder';
+import { createBatchSegments, formatTranscript } from './TranscriptSegments';
+
+// Reads both the batch Transcribe output and the app's own live format
+export function parseTranscription(transcriptionData) {
+  if (transcriptionData?.results?.transcripts) {
+    const segments = createBatchSegments(transcriptionData.results);
+    return {
+      text: segments.length > 0
+        ? formatTranscript(segments)
+        : transcriptionData.results.transcripts[0]?.transcript || '',
+      segments,
+      redacted: false
+    };
+  }
+  if (transcriptionData && typeof transcriptionData.content === 'string') {
+    return {
+      text: transcriptionData.content,
+      segments: transcriptionData.segments || [],
+      redacted: Boolean(transcriptionData.redacted)
+    };
+  }
+  throw new Error('Invalid transcription format');
+}
 
 class S3Service {
   constructor() {
@@ -14,43 +44,15 @@ class S3Service {
     this.bucketName = 'ai.hadassah.frankfurt';
   }
 
-  async getFirstTranscription(sessionId) {
+  /**
+   * A session's transcript as { text, segments, redacted }, or null until it
+   * exists. Batch Transcribe output gets the same speaker segments as live
+   * sessions, so both render, clean and summarize alike.
+   */
+  async getTranscription(sessionId) {
     try {
-      const command = new GetObjectCommand({
-        Bucket: this.bucketName,
-        Key: `transcriptions/${sessionId}.json` 
-      });
-
-      const response = await this.client.send(command);
-      
-      if (!response.Body) {
-        throw new Error('No transcription found');
-      }
-
-      const reader = response.Body.getReader();
-      const decoder = new TextDecoder('utf-8');
-      let result = '';
-      
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        result += decoder.decode(value, { stream: true });
-      }
-      
-      // Parse the JSON and extract the content
-      const transcriptionData = JSON.parse(result);
-      if (
-        !transcriptionData ||
-        !transcriptionData.results ||
-        !transcriptionData.results.transcripts
-      ) {
-        throw new Error('Invalid transcription format');
-      }
-      
-      // Get the first transcript
-      const firstTranscript = transcriptionData.results.transcripts[0]?.transcript || '';
-      return firstTranscript;
-      
+      const transcriptionData = JSON.parse(await this.readObjectText(`transcriptions/${sessionId}.json`));
+      return parseTranscription(transcriptionData);
     } catch (error) {
       if (error.name === 'NoSuchKey') {
         return null; // File doesn't exist yet
@@ -60,13 +62,48 @@ class S3Service {
     }
   }
 
-  async uploadRecording(audioBlob, sessionId) {
+  // The session's saved AI summary text, or null if none was made
+  async getSummary(sessionId) {
     try {
+      const { summary } = JSON.parse(await this.readObjectText(`ai-summaries/${sessionId}.json`));
+      return summary || null;
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        return null;
+      }
+      console.error('Error getting summary:', error);
+      throw error;
+    }
+  }
+
+  getRecordingKey(sessionId, format = 'wav') {
+    return `recordings/${sessionId}.${RECORDING_FORMATS[format].extension}`;
+  }
+
+  /**
+   * Key of a session's audio for sessions whose manifest doesn't name it
+   * (saved before manifests): a live recording in any format, or uploaded
+   * media. Null if the session has no audio.
+   */
+  async findRecordingKey(sessionId) {
+    const mediaKey = `media-loads/${sessionId}`;
+    const [recordings, media] = await Promise.all([
+      this.listObjects(`recordings/${sessionId}.`),
+      this.listObjects(mediaKey)
+    ]);
+    return recordings[0]?.key || media.find(object => object.key === mediaKey)?.key || null;
+  }
+
+  async uploadRecording(audioBlob, sessionId, format = 'wav') {
+    try {
+      const key = this.getRecordingKey(sessionId, format);
+      const contentType = RECORDING_FORMATS[format].contentType;
+
       // Create a presigned URL for the upload
       const command = new PutObjectCommand({
         Bucket: this.bucketName,
-        Key: `recordings/${sessionId}.wav`,
-        ContentType: 'audio/wav'
+        Key: key,
+        ContentType: contentType
       });
 
       const signedUrl = await getSignedUrl(this.client, command, { expiresIn: 3600 });
@@ -76,7 +113,7 @@ class S3Service {
         method: 'PUT',
         body: audioBlob,
         headers: {
-          'Content-Type': 'audio/wav'
+          'Content-Type': contentType
         }
       });
 
@@ -85,19 +122,21 @@ class S3Service {
       }
 
       console.log(`Recording saved successfully for session: ${sessionId}`);
-      return true;
+      return key;
     } catch (error) {
       console.error('Error uploading recording:', error);
       throw error;
     }
   }
 
-  async uploadTranscription(transcriptionText, sessionId) {
+  async uploadTranscription(transcriptionText, sessionId, segments = [], { redacted = false } = {}) {
     try {
       const transcriptionData = {
         sessionId,
         timestamp: new Date().toISOString(),
-        content: transcriptionText
+        content: transcriptionText,
+        segments,
+        redacted
       };
 
       // Create a presigned URL for the transcription upload
@@ -130,65 +169,182 @@ class S3Service {
     }
   }
 
-  async uploadMedia(file, sessionId) {
+  async readObjectText(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key
+    }));
+
+    const reader = response.Body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let result = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      result += decoder.decode(value, { stream: true });
+    }
+    return result;
+  }
+
+  getSessionMetadataKey(sessionId) {
+    return `sessions/${sessionId}/meta.json`;
+  }
+
+  /**
+   * Session manifest with everything known about a session beyond its
+   * artifacts (recording format, settings used, ...). Empty if none saved yet.
+   */
+  async getSessionMetadata(sessionId) {
     try {
-      const fileName = file.name.replace(/[^a-zA-Z0-9.-]/g, '_');
-
-      console.log('Region:', process.env.REACT_APP_AWS_REGION);
-      console.log('Has Access Key:', !!process.env.REACT_APP_AWS_ACCESS_KEY_ID);
-      console.log('Has Secret Key:', !!process.env.REACT_APP_AWS_SECRET_ACCESS_KEY);
-      
-      // Verify the file and sessionId
-      if (!file || !sessionId) {
-        throw new Error('Missing required parameters');
+      return JSON.parse(await this.readObjectText(this.getSessionMetadataKey(sessionId)));
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        return {};
       }
-  
-      // Log the file details for debugging
-      console.log('Uploading file:', {
-        type: file.type,
-        size: file.size,
-        name: fileName
-      });
-  
-      const command = new PutObjectCommand({
-        Bucket: this.bucketName,
-        Key: `media-loads/${sessionId}`,
-        ContentType: file.type
-      });
-  
-      const signedUrl = await getSignedUrl(this.client, command, { expiresIn: 3600 });
-      
-      // Log the signed URL (remove in production)
-      console.log('Generated signed URL:', signedUrl);
-  
-      const response = await fetch(signedUrl, {
-        method: 'PUT',
-        body: file,
-        headers: {
-          'Content-Type': file.type
-        }
-      });
-  
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Upload failed: ${response.status} ${response.statusText} - ${errorText}`);
+      console.error('Error reading session metadata:', error);
+      throw error;
+    }
+  }
+
+  // Shallow-merges changes into the stored manifest
+  async saveSessionMetadata(sessionId, changes) {
+    const existing = await this.getSessionMetadata(sessionId);
+    const metadata = {
+      ...existing,
+      ...changes,
+      sessionId,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.saveToS3(
+      this.bucketName,
+      this.getSessionMetadataKey(sessionId),
+      JSON.stringify(metadata, null, 2),
+      'application/json'
+    );
+    return metadata;
+  }
+
+  getCheckpointKey(sessionId) {
+    return `sessions/${sessionId}/checkpoint.json`;
+  }
+
+  getCheckpointPartKey(sessionId, index) {
+    return `sessions/${sessionId}/parts/${String(index).padStart(5, '0')}.wav`;
+  }
+
+  // Last checkpoint of a live session, or null if it has none (or was finalized)
+  async getCheckpoint(sessionId) {
+    try {
+      return JSON.parse(await this.readObjectText(this.getCheckpointKey(sessionId)));
+    } catch (error) {
+      if (error.name === 'NoSuchKey') {
+        return null;
       }
-  
-      return {
-        success: true,
-        key: `media-loads/${sessionId}`,
-        sessionId: sessionId
-      };
+      console.error('Error reading checkpoint:', error);
+      throw error;
+    }
+  }
+
+  async saveCheckpoint(sessionId, checkpoint) {
+    await this.saveToS3(
+      this.bucketName,
+      this.getCheckpointKey(sessionId),
+      JSON.stringify(checkpoint),
+      'application/json'
+    );
+  }
+
+  async saveCheckpointPart(sessionId, index, wavBlob) {
+    const key = this.getCheckpointPartKey(sessionId, index);
+    await this.saveToS3(this.bucketName, key, wavBlob, 'audio/wav');
+    return key;
+  }
+
+  async readObjectArrayBuffer(key) {
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key
+    }));
+    const bytes = await response.Body.transformToByteArray();
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  }
+
+  // Every object under a prefix as { key, lastModified, size }
+  async listObjects(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      (response.Contents || []).forEach(object => objects.push({
+        key: object.Key,
+        lastModified: object.LastModified,
+        size: object.Size
+      }));
+      continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * Sessions with a checkpoint still in place, i.e. live sessions that were
+   * never finalized. Finalizing deletes the checkpoint.
+   */
+  async listCheckpoints() {
+    return (await this.listObjects('sessions/'))
+      .filter(object => object.key.endsWith('/checkpoint.json'))
+      .map(object => ({
+        sessionId: object.key.split('/')[1],
+        lastModified: object.lastModified
+      }));
+  }
+
+  // Removes a checkpoint and its audio parts once the session is finalized
+  async deleteCheckpoint(sessionId, checkpoint) {
+    const partKeys = (checkpoint?.audioParts || []).map(({ key }) => key);
+
+    for (const key of [...partKeys, this.getCheckpointKey(sessionId)]) {
+      await this.client.send(new DeleteObjectCommand({
+        Bucket: this.bucketName,
+        Key: key
+      }));
+    }
+  }
+
+  getRedactionMapKey(sessionId) {
+    return `redaction-maps/${sessionId}.json`;
+  }
+
+  // Encrypted placeholder -> original mapping of a redacted transcript
+  async getRedactionMap(sessionId) {
+    try {
+      return JSON.parse(await this.readObjectText(this.getRedactionMapKey(sessionId)));
     } catch (error) {
-      console.error('Detailed upload error:', {
-        message: error.message,
-        stack: error.stack,
-        name: error.name
-      });
+      if (error.name === 'NoSuchKey') {
+        return null;
+      }
+      console.error('Error reading redaction map:', error);
       throw error;
     }
   }
 
+  async saveRedactionMap(sessionId, encryptedMapping) {
+    await this.saveToS3(
+      this.bucketName,
+      this.getRedactionMapKey(sessionId),
+      JSON.stringify(encryptedMapping),
+      'application/json'
+    );
+  }
+
   /**
    * NEW: General-purpose method to save any data (string, JSON, etc.) to S3
    * using presigned URL logic
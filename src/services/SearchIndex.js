@@ -0,0 +1,340 @@
+import S3Service, { parseTranscription } from './S3Service';
+import { ARTIFACT_PREFIXES } from './SessionHistory';
+import { requestToPromise, transactionDone } from './LocalSessionStore';
+import { describeEncounter, formatEncounterTitle } from './EncounterDetails';
+import { applySpeakerNames, describeSpeakers } from './SpeakerLabels';
+import { isRedactionEnabled, loadRedactionPatterns, redactText, restoreText } from './Redaction';
+
+const DB_NAME = 'transcriber-search';
+const DB_VERSION = 1;
+const FETCH_CONCURRENCY = 4;
+const SNIPPET_CONTEXT = 60;
+
+// What is searched, where it lives, and which TextDisplay view shows it
+export const SEARCH_FIELDS = {
+  transcription: { ...ARTIFACT_PREFIXES.transcription, view: 'original' },
+  cleanText: { ...ARTIFACT_PREFIXES.cleanText, view: 'cleaned' },
+  summary: { ...ARTIFACT_PREFIXES.summary, view: 'summary' },
+  metadata: { prefix: 'sessions/', pattern: /^sessions\/([^/]+)\/meta\.json$/, view: null }
+};
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:["'\u05F3\u05F4][\p{L}\p{M}\p{N}]+)*/gu;
+const NIQQUD_PATTERN = /[\u0591-\u05C7]/g;
+const FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+// ו, ה, ב, כ, ל, מ, ש are written attached to the next word ("וכשהמטופל")
+const PREFIX_LETTERS = 'ובהכלמש';
+const MAX_PREFIX_LENGTH = 3;
+const MIN_STEM_LENGTH = 2;
+
+// Case, niqqud, geresh/gershayim (ד"ר) and final letter forms don't matter
+const normalizeTerm = (word) => word
+  .toLowerCase()
+  .replace(NIQQUD_PATTERN, '')
+  .replace(/["'\u05F3\u05F4]/g, '')
+  .replace(/[ךםןףץ]/g, letter => FINAL_LETTERS[letter]);
+
+// Words of a text with their offsets in it
+export function tokenize(text) {
+  return Array.from((text || '').matchAll(WORD_PATTERN), match => ({
+    term: normalizeTerm(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  })).filter(token => token.term);
+}
+
+/**
+ * A word followed by what's left after taking off up to three leading prefix
+ * letters: "ולוורפרין" -> "לוורפרין", "וורפרין", "ורפרין". Indexed words
+ * and query words both get every form, so "וורפרין" and "בוורפרין" find it;
+ * a form that was stripped ranks below one that matches the whole word.
+ */
+export function getTermVariants(term) {
+  const variants = [term];
+  for (let i = 0; i < MAX_PREFIX_LENGTH && PREFIX_LETTERS.includes(term[i]); i++) {
+    if (term.length - i - 1 < MIN_STEM_LENGTH) break;
+    variants.push(term.slice(i + 1));
+  }
+  return variants;
+}
+
+/**
+ * How well an indexed word matches a query word, given the query word's
+ * variants: 4 for the whole word, 3 for the whole word once a prefix was
+ * taken off either one, 2 and 1 for the same as the start of a longer word,
+ * 0 for no match.
+ */
+function scoreMatch(term, queryVariants, termStripped) {
+  return Math.max(...queryVariants.map((variant, index) => {
+    if (!term.startsWith(variant)) return 0;
+    const stripped = termStripped || index > 0;
+    return (term === variant ? 2 : 0) + (stripped ? 1 : 2);
+  }));
+}
+
+/**
+ * Which occurrence (0-based) of a result's matched word to select in the
+ * text as TextDisplay shows it. The indexed text lacks what the display
+ * adds (speaker names, unlocked details), so the text before the match gets
+ * the same before the word is counted in it.
+ */
+export function getMatchOccurrence({ text, precedingText }, { speakerNames, mapping } = {}) {
+  const shownBefore = restoreText(applySpeakerNames(precedingText, speakerNames), mapping) || '';
+  return shownBefore.split(text).length - 1;
+}
+
+const htmlToText = (html) => {
+  const withBreaks = html.replace(/\\n/g, '\n').replace(/<br\s*\/?>/gi, '\n');
+  return new DOMParser().parseFromString(withBreaks, 'text/html').body.textContent || '';
+};
+
+// Searchable text of one stored object, plus a title for metadata
+async function readDocument(field, key, redact) {
+  const data = JSON.parse(await S3Service.readObjectText(key));
+
+  switch (field) {
+    case 'transcription': {
+      // Search shows what the app shows, so unredacted batch output is redacted
+      const { text, redacted } = parseTranscription(data);
+      return { text: redact && !redacted ? redact(text) : text };
+    }
+    case 'cleanText':
+      return { text: htmlToText(data.html || data.raw || '') };
+    case 'summary':
+      return { text: data.summary || '' };
+    default: {
+      // The patient identifier isn't kept on this device when redaction is on
+      const encounter = redact ? { ...data.encounter, patientId: '' } : data.encounter;
+      return {
+        text: [data.originalFile?.name, describeSpeakers(data.speakers), describeEncounter(encounter)]
+          .filter(Boolean)
+          .join('\n'),
+        title: formatEncounterTitle(encounter)
+      };
+    }
+  }
+}
+
+// Cut at word boundaries around the first match, with every match inside marked
+function createSnippet(text, matches) {
+  const first = matches[0];
+  let start = Math.max(0, first.start - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, first.end + SNIPPET_CONTEXT);
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first.start) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first.end) end = space;
+  }
+
+  return {
+    // Line breaks become spaces one for one, so highlight offsets still hold
+    text: text.slice(start, end).replace(/\s/g, ' '),
+    prefix: start > 0 ? '…' : '',
+    suffix: end < text.length ? '…' : '',
+    highlights: matches
+      .filter(match => match.start >= start && match.end <= end)
+      .map(match => [match.start - start, match.end - start])
+  };
+}
+
+/**
+ * Full-text search over the transcripts, cleaned texts, summaries and
+ * session manifests in S3. The extracted texts are kept in IndexedDB and
+ * refreshed by comparing S3 modification times, so only new or changed
+ * objects are read again. Matching is done in memory.
+ */
+class SearchIndex {
+  constructor() {
+    this.dbPromise = null;
+    this.documents = new Map();
+    this.loaded = false;
+    // term -> Map(document key -> [{ start, end, stripped }])
+    this.terms = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('documents', { keyPath: 'key' });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Documents indexed earlier on this browser
+  async load() {
+    const db = await this.open();
+    const documents = await requestToPromise(
+      db.transaction('documents').objectStore('documents').getAll()
+    );
+    this.documents = new Map(documents.map(document => [document.key, document]));
+    this.loaded = true;
+    this.terms = null;
+    return this.documents.size;
+  }
+
+  /**
+   * Brings the index in line with S3: reads objects that are new or changed
+   * since they were indexed and drops ones that are gone. onProgress gets
+   * { done, total } as objects are read. Returns the number of documents.
+   */
+  async refresh({ onProgress } = {}) {
+    if (!this.loaded) await this.load();
+
+    const listings = await Promise.all(
+      Object.entries(SEARCH_FIELDS).map(async ([field, { prefix, pattern }]) =>
+        (await S3Service.listObjects(prefix))
+          .map(object => ({ ...object, field, sessionId: object.key.match(pattern)?.[1] }))
+          .filter(object => object.sessionId)
+      )
+    );
+    const objects = listings.flat().map(object => ({
+      ...object,
+      lastModified: new Date(object.lastModified).toISOString()
+    }));
+
+    const stale = objects.filter(object => this.documents.get(object.key)?.lastModified !== object.lastModified);
+    const current = new Set(objects.map(object => object.key));
+    const removed = Array.from(this.documents.keys()).filter(key => !current.has(key));
+
+    const redact = isRedactionEnabled()
+      ? await loadRedactionPatterns().then(patterns => (text) => redactText(text, patterns).text)
+      : null;
+
+    const fetched = [];
+    let done = 0;
+    if (onProgress) onProgress({ done, total: stale.length });
+
+    const queue = stale.slice();
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { key, field, sessionId, lastModified } = queue.shift();
+        try {
+          fetched.push({ key, field, sessionId, lastModified, ...await readDocument(field, key, redact) });
+        } catch (error) {
+          console.error('Error indexing ' + key + ':', error);
+        }
+        done++;
+        if (onProgress) onProgress({ done, total: stale.length });
+      }
+    };
+    await Promise.all(Array.from({ length: FETCH_CONCURRENCY }, worker));
+
+    const db = await this.open();
+    const transaction = db.transaction('documents', 'readwrite');
+    const store = transaction.objectStore('documents');
+    removed.forEach(key => store.delete(key));
+    fetched.forEach(document => store.put(document));
+    await transactionDone(transaction);
+
+    removed.forEach(key => this.documents.delete(key));
+    fetched.forEach(document => this.documents.set(document.key, document));
+    this.terms = null;
+    return this.documents.size;
+  }
+
+  buildTerms() {
+    this.terms = new Map();
+    this.documents.forEach(document => {
+      tokenize(document.text).forEach(({ term, start, end }) => {
+        getTermVariants(term).forEach((variant, index) => {
+          if (!this.terms.has(variant)) this.terms.set(variant, new Map());
+          const occurrences = this.terms.get(variant);
+          if (!occurrences.has(document.key)) occurrences.set(document.key, []);
+          occurrences.get(document.key).push({ start, end, stripped: index > 0 });
+        });
+      });
+    });
+  }
+
+  /**
+   * Documents containing every word of the query, best first. A query word
+   * matches indexed words it is the start of, so "וורפ" finds "לוורפרין",
+   * and loses its prefixes the way indexed words do, so "בוורפרין" finds
+   * "וורפרין". Matches that needed a prefix taken off rank lower.
+   * Each result has a snippet with highlight ranges, and for texts shown in
+   * TextDisplay the view, the matched word and the indexed text before it,
+   * for TextDisplay's focusRequest.
+   */
+  search(query, { limit = 50 } = {}) {
+    const queryTerms = Array.from(new Set(tokenize(query).map(token => token.term)));
+    if (queryTerms.length === 0) return [];
+    if (!this.terms) this.buildTerms();
+
+    const indexedTerms = Array.from(this.terms.keys());
+    let candidates = null;
+
+    // Per document, the best score and the occurrences of each query word
+    queryTerms.forEach(queryTerm => {
+      const queryVariants = getTermVariants(queryTerm);
+      const found = new Map();
+      indexedTerms
+        .filter(term => queryVariants.some(variant => term.startsWith(variant)))
+        .forEach(term => {
+          this.terms.get(term).forEach((occurrences, key) => {
+            const entry = found.get(key) || { score: 0, matches: [] };
+            occurrences.forEach(occurrence => {
+              entry.score = Math.max(entry.score, scoreMatch(term, queryVariants, occurrence.stripped));
+              entry.matches.push(occurrence);
+            });
+            found.set(key, entry);
+          });
+        });
+
+      if (candidates === null) {
+        candidates = found;
+        return;
+      }
+      const merged = new Map();
+      candidates.forEach((entry, key) => {
+        if (!found.has(key)) return;
+        const other = found.get(key);
+        merged.set(key, { score: entry.score + other.score, matches: entry.matches.concat(other.matches) });
+      });
+      candidates = merged;
+    });
+
+    const titles = new Map();
+    this.documents.forEach(document => {
+      if (document.field === 'metadata' && document.title) titles.set(document.sessionId, document.title);
+    });
+
+    return Array.from(candidates.entries())
+      .map(([key, { score, matches }]) => {
+        const document = this.documents.get(key);
+        const sorted = matches
+          .filter((match, index, all) => all.findIndex(other => other.start === match.start) === index)
+          .sort((a, b) => a.start - b.start);
+        const word = document.text.slice(sorted[0].start, sorted[0].end);
+
+        return {
+          key,
+          sessionId: document.sessionId,
+          field: document.field,
+          view: SEARCH_FIELDS[document.field].view,
+          lastModified: document.lastModified,
+          title: titles.get(document.sessionId) || '',
+          score,
+          snippet: createSnippet(document.text, sorted),
+          match: {
+            text: word,
+            precedingText: document.text.slice(0, sorted[0].start)
+          }
+        };
+      })
+      .sort((a, b) => b.score - a.score || b.lastModified.localeCompare(a.lastModified))
+      .slice(0, limit);
+  }
+}
+
+export default new SearchIndex();
@@ -0,0 +1,115 @@
+import SearchIndex, { tokenize, getTermVariants, getMatchOccurrence } from './SearchIndex';
+import { applySpeakerNames } from './SpeakerLabels';
+import { restoreText } from './Redaction';
+
+// Searching works on documents in memory; nothing here reaches S3 or IndexedDB
+jest.mock('./S3Service', () => ({}));
+
+const useDocuments = (documents) => {
+  SearchIndex.documents = new Map(documents.map((document, i) => [
+    document.key,
+    { sessionId: `session-${i}`, field: 'summary', lastModified: '2024-01-01T00:00:00.000Z', ...document }
+  ]));
+  SearchIndex.terms = null;
+};
+
+const search = (query) => SearchIndex.search(query).map(({ key, score }) => [key, score]);
+
+// Offset of the nth occurrence of word in text, as TextDisplay's findTextRange finds it
+const nthIndex = (text, word, occurrence) => {
+  let index = -1;
+  for (let i = 0; i <= occurrence; i++) index = text.indexOf(word, index + 1);
+  return index;
+};
+
+describe('tokenize', () => {
+  it('ignores case, niqqud, gershayim and final letter forms', () => {
+    expect(tokenize('ד"ר כֹּהֵן Warfarin שלום').map(({ term }) => term)).toEqual(['דר', 'כהנ', 'warfarin', 'שלומ']);
+  });
+
+  it('keeps the offsets of each word in the text', () => {
+    expect(tokenize('כאב, ראש')).toEqual([
+      { term: 'כאב', start: 0, end: 3 },
+      { term: 'ראש', start: 5, end: 8 }
+    ]);
+  });
+});
+
+describe('getTermVariants', () => {
+  it('takes off up to three prefix letters', () => {
+    expect(getTermVariants('ולוורפרינ')).toEqual(['ולוורפרינ', 'לוורפרינ', 'וורפרינ', 'ורפרינ']);
+    expect(getTermVariants('וכשהמטופל')).toEqual(['וכשהמטופל', 'כשהמטופל', 'שהמטופל', 'המטופל']);
+  });
+
+  it('leaves a stem of at least two letters', () => {
+    expect(getTermVariants('בית')).toEqual(['בית', 'ית']);
+    expect(getTermVariants('של')).toEqual(['של']);
+  });
+
+  it('leaves words without prefix letters alone', () => {
+    expect(getTermVariants('דם')).toEqual(['דם']);
+  });
+});
+
+describe('search', () => {
+  beforeEach(() => useDocuments([
+    { key: 'exact', text: 'המטופל נוטל וורפרין מדי יום' },
+    { key: 'prefixed', text: 'הופסק הטיפול בוורפרין אתמול' },
+    { key: 'longer', text: 'רשימת וורפרינים' },
+    { key: 'other', text: 'אין כאן תרופות נוגדות קרישה' }
+  ]));
+
+  it('ranks a whole word above a prefix-stripped one above the start of a longer word', () => {
+    expect(search('וורפרין')).toEqual([['exact', 4], ['prefixed', 3], ['longer', 2]]);
+  });
+
+  it('strips prefixes from the query word too, ranking what needed it lower', () => {
+    expect(search('בוורפרין')).toEqual([['prefixed', 4], ['exact', 3], ['longer', 1]]);
+  });
+
+  it('matches the start of words', () => {
+    expect(search('וורפ').map(([key]) => key).sort()).toEqual(['exact', 'longer', 'prefixed']);
+  });
+
+  it('only returns documents with every query word', () => {
+    expect(search('וורפרין אתמול')).toEqual([['prefixed', 3 + 4]]);
+    expect(search('וורפרין אספירין')).toEqual([]);
+  });
+
+  it('marks matches in the snippet and keeps the text before the first one', () => {
+    const [result] = SearchIndex.search('בוורפרין');
+
+    expect(result.snippet.text.slice(...result.snippet.highlights[0])).toBe('בוורפרין');
+    expect(result.match).toEqual({ text: 'בוורפרין', precedingText: 'הופסק הטיפול ' });
+  });
+});
+
+describe('getMatchOccurrence', () => {
+  it('lines up with the transcript as shown, with speakers named', () => {
+    const text = '[דובר 1]: כן\n[דובר 2]: המטופל מרגיש טוב';
+    const speakerNames = { 1: 'אמא של המטופל' };
+    useDocuments([{ key: 'transcript', field: 'transcription', text }]);
+
+    const [{ match }] = SearchIndex.search('המטופל');
+    const shown = applySpeakerNames(text, speakerNames);
+    const index = nthIndex(shown, match.text, getMatchOccurrence(match, { speakerNames }));
+
+    expect(shown.slice(index)).toBe('המטופל מרגיש טוב');
+  });
+
+  it('lines up with the transcript with redacted details shown', () => {
+    const text = 'שמי [שם #1]. כאב ראש';
+    const mapping = { '[שם #1]': 'כאב ראש קבוע' };
+    useDocuments([{ key: 'transcript', field: 'transcription', text }]);
+
+    const [{ match }] = SearchIndex.search('כאב');
+    const shown = restoreText(text, mapping);
+    const index = nthIndex(shown, match.text, getMatchOccurrence(match, { mapping }));
+
+    expect(index).toBe(shown.lastIndexOf('כאב ראש'));
+  });
+
+  it('counts in the indexed text when nothing is added', () => {
+    expect(getMatchOccurrence({ text: 'כאב', precedingText: 'כאב ראש, כאב בטן, ' })).toBe(2);
+  });
+});
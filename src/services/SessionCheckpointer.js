@@ -0,0 +1,139 @@
+import S3Service from './S3Service';
+import { concatPcm, encodeWav, decodeWav } from './AudioEncoder';
+import { formatTranscript } from './TranscriptSegments';
+import { redactSession } from './Redaction';
+
+export const CHECKPOINT_INTERVAL_MS = 30000;
+
+/**
+ * Uploads checkpoints of a live session to sessions/<id>/checkpoint.json:
+ * the finalized segments, redacted like the final transcript, and, with uploadAudio, the audio recorded since the
+ * previous checkpoint as a WAV part under sessions/<id>/parts/. getSegments
+ * and getChunks return the current segments and worklet PCM chunks.
+ */
+class SessionCheckpointer {
+  constructor({
+    sessionId,
+    getSegments,
+    getChunks,
+    sampleRate,
+    settings = {},
+    uploadAudio = false,
+    intervalMs = CHECKPOINT_INTERVAL_MS
+  }) {
+    this.sessionId = sessionId;
+    this.getSegments = getSegments;
+    this.getChunks = getChunks;
+    this.sampleRate = sampleRate;
+    this.settings = settings;
+    this.uploadAudio = uploadAudio;
+    this.intervalMs = intervalMs;
+    this.startedAt = new Date().toISOString();
+    this.audioParts = [];
+    this.uploadedChunks = 0;
+    this.lastSavedTranscript = null;
+    this.pending = Promise.resolve();
+    this.interval = null;
+  }
+
+  start() {
+    this.interval = setInterval(() => this.checkpoint(), this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  // Session details changed while recording (e.g. the encounter) are
+  // checkpointed right away, so a recovery from S3 keeps them
+  updateMetadata(changes) {
+    this.settings = { ...this.settings, metadata: { ...this.settings.metadata, ...changes } };
+    this.lastSavedTranscript = null;
+    return this.checkpoint();
+  }
+
+  // Checkpoints run one at a time; a tick during an upload waits for it
+  checkpoint() {
+    this.pending = this.pending
+      .then(() => this.saveCheckpoint())
+      .catch(error => console.error('Error saving checkpoint:', error));
+    return this.pending;
+  }
+
+  async saveCheckpoint() {
+    const segments = this.getSegments();
+    const chunks = this.getChunks();
+    const transcript = formatTranscript(segments);
+    const newChunks = this.uploadAudio ? chunks.slice(this.uploadedChunks) : [];
+
+    if (transcript === this.lastSavedTranscript && newChunks.length === 0) return;
+
+    if (newChunks.length > 0) {
+      const samples = concatPcm(newChunks);
+      const key = await S3Service.saveCheckpointPart(
+        this.sessionId,
+        this.audioParts.length,
+        encodeWav(samples, this.sampleRate)
+      );
+      this.audioParts.push({ key, sampleCount: samples.length });
+      this.uploadedChunks += newChunks.length;
+    }
+
+    const redacted = await redactSession(this.sessionId, transcript, segments);
+    await S3Service.saveCheckpoint(this.sessionId, {
+      sessionId: this.sessionId,
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      sampleRate: this.sampleRate,
+      settings: this.settings,
+      content: redacted.text,
+      segments: redacted.segments,
+      redacted: redacted.redacted,
+      audioParts: this.audioParts
+    });
+    this.lastSavedTranscript = transcript;
+  }
+
+  /**
+   * Called once the recording and transcript are uploaded: waits for any
+   * checkpoint in flight and removes the checkpoint, which is no longer needed.
+   */
+  async finalize() {
+    this.stop();
+    await this.pending;
+    await S3Service.deleteCheckpoint(this.sessionId, { audioParts: this.audioParts });
+  }
+}
+
+/**
+ * Loads a checkpoint for recovery: its segments, and the PCM of its audio
+ * parts as one chunk (empty if audio parts weren't uploaded).
+ */
+export async function loadCheckpoint(sessionId) {
+  const checkpoint = await S3Service.getCheckpoint(sessionId);
+  if (!checkpoint) {
+    throw new Error(`No checkpoint for session ${sessionId}`);
+  }
+
+  const parts = [];
+  for (const { key } of checkpoint.audioParts || []) {
+    parts.push(decodeWav(await S3Service.readObjectArrayBuffer(key)));
+  }
+
+  return {
+    checkpoint,
+    segments: checkpoint.segments || [],
+    chunks: parts.length > 0 ? [concatPcm(parts)] : []
+  };
+}
+
+// Removes whatever checkpoint a session has left, e.g. after local recovery
+export async function discardCheckpoint(sessionId) {
+  const checkpoint = await S3Service.getCheckpoint(sessionId);
+  if (checkpoint) {
+    await S3Service.deleteCheckpoint(sessionId, checkpoint);
+  }
+}
+
+export default SessionCheckpointer;
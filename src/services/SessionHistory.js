@@ -0,0 +1,82 @@
+import S3Service from './S3Service';
+
+// Where each artifact of a session lives, and how its key holds the session ID
+export const ARTIFACT_PREFIXES = {
+  recording: { prefix: 'recordings/', pattern: /^recordings\/([^/.]+)\.\w+$/ },
+  media: { prefix: 'media-loads/', pattern: /^media-loads\/([^/]+)$/ },
+  transcription: { prefix: 'transcriptions/', pattern: /^transcriptions\/([^/]+)\.json$/ },
+  cleanText: { prefix: 'clean-texts/', pattern: /^clean-texts\/([^/]+)\.json$/ },
+  summary: { prefix: 'ai-summaries/', pattern: /^ai-summaries\/([^/]+)\.json$/ }
+};
+
+export const ARTIFACT_NAMES = {
+  recording: 'הקלטה',
+  media: 'קובץ שהועלה',
+  transcription: 'תמלול',
+  cleanText: 'טקסט מנוקה',
+  summary: 'סיכום'
+};
+
+export const SOURCE_NAMES = {
+  live: 'הקלטה חיה',
+  upload: 'קובץ שהועלה'
+};
+
+/**
+ * Lists past sessions from the S3 layout, newest first, as
+ * { sessionId, createdAt, source, artifacts: { recording, media, ... } }.
+ * A session is dated by its earliest artifact; its source is live if it has
+ * a recording and upload if it has an uploaded file.
+ */
+export async function listSessions() {
+  const sessions = new Map();
+
+  const listings = await Promise.all(
+    Object.entries(ARTIFACT_PREFIXES).map(async ([artifact, { prefix, pattern }]) =>
+      [artifact, pattern, await S3Service.listObjects(prefix)]
+    )
+  );
+
+  listings.forEach(([artifact, pattern, objects]) => {
+    objects.forEach(({ key, lastModified }) => {
+      const sessionId = key.match(pattern)?.[1];
+      if (!sessionId) return;
+
+      const session = sessions.get(sessionId) || { sessionId, createdAt: lastModified, artifacts: {} };
+      session.artifacts[artifact] = true;
+      if (new Date(lastModified) < new Date(session.createdAt)) {
+        session.createdAt = lastModified;
+      }
+      sessions.set(sessionId, session);
+    });
+  });
+
+  return Array.from(sessions.values())
+    .map(session => ({
+      ...session,
+      createdAt: new Date(session.createdAt).toISOString(),
+      source: session.artifacts.recording ? 'live' : session.artifacts.media ? 'upload' : null
+    }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Filters the list from listSessions. filters are { source, from, to,
+ * artifact, query }: from/to are YYYY-MM-DD dates (inclusive), artifact a key
+ * of ARTIFACT_NAMES the session must have, query part of the session ID.
+ */
+export function filterSessions(sessions, { source, from, to, artifact, query } = {}) {
+  return sessions.filter(session => {
+    const day = session.createdAt.slice(0, 10);
+    return (!source || session.source === source) &&
+      (!from || day >= from) &&
+      (!to || day <= to) &&
+      (!artifact || session.artifacts[artifact]) &&
+      (!query || session.sessionId.includes(query.trim()));
+  });
+}
+
+// Duration in seconds from the session manifest, if known
+export function getSessionDuration(metadata) {
+  return metadata?.recording?.durationSeconds ?? metadata?.durationSeconds ?? null;
+}
@@ -0,0 +1,27 @@
+// Each stored session has its own address, /session/<id>, so it can be
+// bookmarked or shared. The hosting has to serve index.html for these paths.
+const SESSION_PATH = /^\/session\/([^/]+)\/?$/;
+
+export function getRouteSessionId(pathname = window.location.pathname) {
+  const match = pathname.match(SESSION_PATH);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+export const getSessionPath = (sessionId) => `/session/${encodeURIComponent(sessionId)}`;
+
+export function navigateToSession(sessionId) {
+  window.history.pushState({ sessionId }, '', getSessionPath(sessionId));
+}
+
+export function navigateHome() {
+  if (window.location.pathname !== '/') {
+    window.history.pushState({}, '', '/');
+  }
+}
+
+// Calls listener with the route's session ID (or null) on back/forward
+export function onRouteChange(listener) {
+  const handlePopState = () => listener(getRouteSessionId());
+  window.addEventListener('popstate', handlePopState);
+  return () => window.removeEventListener('popstate', handlePopState);
+}
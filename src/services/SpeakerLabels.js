@@ -0,0 +1,52 @@
+// Suggested roles; users may also type any free-text name
+export const SPEAKER_ROLES = ['רופא', 'מטופל', 'מלווה', 'אחות'];
+
+// Transcripts are stored with neutral "[דובר N]" prefixes and names are
+// applied on top, so a speaker can be renamed at any time after the session.
+const SPEAKER_PATTERN = /\[דובר (\d+)\]|דובר (\d+)/g;
+
+export const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Transcribe reports speakers as "0", "1"... (streaming) or "spk_0" (batch)
+export function formatSpeakerLabel(speaker) {
+  const index = Number(String(speaker).replace(/^spk_/, ''));
+  return `[דובר ${index + 1}]: `;
+}
+
+export function getDetectedSpeakers(text) {
+  const speakers = new Set();
+  for (const match of (text || '').matchAll(SPEAKER_PATTERN)) {
+    speakers.add(Number(match[1] || match[2]));
+  }
+  return Array.from(speakers).sort((a, b) => a - b);
+}
+
+/**
+ * Replaces "[דובר N]" / "דובר N" with the names assigned to those speakers.
+ * Pass { html: true } when the result is rendered as HTML.
+ */
+export function applySpeakerNames(text, speakerNames, { html = false } = {}) {
+  if (!text || !speakerNames) return text;
+
+  return text.replace(SPEAKER_PATTERN, (match, bracketed, plain) => {
+    const name = speakerNames[bracketed || plain]?.trim();
+    if (!name) return match;
+
+    const safeName = html ? escapeHtml(name) : name;
+    return bracketed ? `[${safeName}]` : safeName;
+  });
+}
+
+// Line for AI prompts describing who each speaker is
+export function describeSpeakers(speakerNames) {
+  const entries = Object.entries(speakerNames || {})
+    .filter(([, name]) => name?.trim())
+    .sort(([a], [b]) => Number(a) - Number(b));
+
+  if (entries.length === 0) return '';
+  return 'זהות הדוברים: ' + entries.map(([number, name]) => `דובר ${number} = ${name.trim()}`).join(', ');
+}
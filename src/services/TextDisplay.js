@@ -1,7 +1,44 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { applySpeakerNames, escapeHtml } from './SpeakerLabels';
+import { DEFAULT_CONFIDENCE_THRESHOLD, formatTranscript, renderSegmentsHtml } from './TranscriptSegments';
+import { getTextDirection } from './Languages';
+import { decryptMapping, importPrivateKey, isRedactionEnabled, restoreText } from './Redaction';
+import S3Service from './S3Service';
+import { describeEncounter } from './EncounterDetails';
+import { getMatchOccurrence } from './SearchIndex';
 
-const TextDisplay = ({ text, sessionId }) => {
+const THRESHOLD_STORAGE_KEY = 'transcriber.confidenceThreshold';
+
+// Range over the nth (0-based) occurrence of text in root's text content
+function findTextRange(root, text, occurrence) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  let content = '';
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: content.length });
+    content += walker.currentNode.textContent;
+  }
+
+  let index = -1;
+  for (let i = 0; i <= occurrence; i++) {
+    index = content.indexOf(text, index + 1);
+    if (index === -1) return null;
+  }
+
+  // Node holding the character at offset, and the offset within it
+  const locate = (offset) => {
+    const entry = nodes.find(({ node, start }) => offset >= start && offset < start + node.textContent.length);
+    return [entry.node, offset - entry.start];
+  };
+  const [endNode, endOffset] = locate(index + text.length - 1);
+  const range = document.createRange();
+  range.setStart(...locate(index));
+  range.setEnd(endNode, endOffset + 1);
+  return range;
+}
+
+const TextDisplay = ({ text, segments = [], sessionId, speakerNames, encounter, language, onSeek, focusRequest }) => {
   const [showCopy, setShowCopy] = useState(false);
   const [copied, setCopied] = useState(false);
   const [currentText, setCurrentText] = useState(text);
@@ -9,24 +46,80 @@ const TextDisplay = ({ text, sessionId }) => {
   const contentRef = useRef(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  const [confidenceThreshold, setConfidenceThreshold] = useState(() =>
+    Number(localStorage.getItem(THRESHOLD_STORAGE_KEY)) || DEFAULT_CONFIDENCE_THRESHOLD
+  );
+  const uncertainIndexRef = useRef(-1);
+  // Decrypted placeholder mapping; only held in memory while unlocked
+  const [redactionMapping, setRedactionMapping] = useState(null);
+  const keyInputRef = useRef(null);
+
+  useEffect(() => {
+    localStorage.setItem(THRESHOLD_STORAGE_KEY, String(confidenceThreshold));
+  }, [confidenceThreshold]);
 
   useEffect(() => {
     setCurrentText(text);
   }, [text]);
 
+  // Another session starts on its own transcript, locked
+  useEffect(() => {
+    setRedactionMapping(null);
+    setTextType('original');
+  }, [sessionId]);
+
   useEffect(() => {
     if (contentRef.current) {
       contentRef.current.scrollTop = contentRef.current.scrollHeight;
     }
   }, [currentText]);
 
+  // The live/original transcript is rendered from its segments so uncertain
+  // words can be flagged; anything after them (the partial line) is appended
+  const renderOriginal = () => {
+    const finalText = formatTranscript(segments);
+    if (textType !== 'original' || segments.length === 0 || !currentText.startsWith(finalText)) {
+      return currentText;
+    }
+    return renderSegmentsHtml(segments, confidenceThreshold) + escapeHtml(currentText.slice(finalText.length));
+  };
+
+  // Speaker names apply to every view: transcript, cleaned text and summary
+  const namedText = applySpeakerNames(renderOriginal(), speakerNames, { html: true });
+  const displayText = redactionMapping
+    ? restoreText(namedText, redactionMapping, { html: true })
+    : namedText;
+  const textDirection = getTextDirection(language, currentText || '');
+
+  // Words of the transcript carry their start time; clicking one plays from there
+  const handleWordClick = (event) => {
+    const word = event.target.closest('[data-start]');
+    if (word && onSeek && textType === 'original') {
+      onSeek(Number(word.dataset.start));
+    }
+  };
+
+  const goToNextUncertainWord = () => {
+    const words = contentRef.current?.querySelectorAll('[data-uncertain]') || [];
+    if (words.length === 0) return;
+
+    words[uncertainIndexRef.current]?.classList.remove('ring-2', 'ring-orange-500');
+    uncertainIndexRef.current = (uncertainIndexRef.current + 1) % words.length;
+
+    const word = words[uncertainIndexRef.current];
+    word.classList.add('ring-2', 'ring-orange-500');
+    word.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const getPlainText = () => {
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = displayText;
+    return tempDiv.textContent || tempDiv.innerText;
+  };
+
   const handleCopy = async () => {
     try {
-      const tempDiv = document.createElement('div');
-      tempDiv.innerHTML = currentText;
-      const textToCopy = tempDiv.textContent || tempDiv.innerText;
-
-      await navigator.clipboard.writeText(textToCopy);
+      await navigator.clipboard.writeText(getPlainText());
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
     } catch (err) {
@@ -34,7 +127,47 @@ const TextDisplay = ({ text, sessionId }) => {
     }
   };
 
-  const fetchTextFromS3 = async (type) => {
+  // The text as shown, under the encounter details, as a text file
+  const handleExport = () => {
+    const header = [
+      describeEncounter(encounter),
+      sessionId ? `מזהה מפגש: ${sessionId}` : ''
+    ].filter(Boolean).join('\n');
+    const content = header ? `${header}\n\n${getPlainText()}` : getPlainText();
+
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/plain;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${sessionId || 'transcript'}-${textType}.txt`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  // Unredacting needs the private key matching REACT_APP_REDACTION_PUBLIC_KEY,
+  // picked from a local PEM file by the authorized user
+  const unlockRedaction = async (file) => {
+    if (!file || !sessionId) return;
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const encryptedMapping = await S3Service.getRedactionMap(sessionId);
+      if (!encryptedMapping) {
+        throw new Error('No redacted details for this session');
+      }
+      const privateKey = await importPrivateKey(await file.text());
+      setRedactionMapping(await decryptMapping(encryptedMapping, privateKey));
+    } catch (error) {
+      console.error('Error unlocking redacted text:', error);
+      setError('Failed to show redacted details: ' + error.message);
+    } finally {
+      setIsLoading(false);
+      if (keyInputRef.current) keyInputRef.current.value = '';
+    }
+  };
+
+  const fetchTextFromS3 = useCallback(async (type) => {
     if (!sessionId) return;
 
     setIsLoading(true);
@@ -81,7 +214,39 @@ const TextDisplay = ({ text, sessionId }) => {
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [sessionId, text]);
+
+  // focusRequest is { view, text, precedingText } from a search result, a new
+  // object each time: the view is switched to, then the word is selected
+  const pendingFocusRef = useRef(null);
+  const handledFocusRef = useRef(null);
+
+  useEffect(() => {
+    if (!focusRequest || handledFocusRef.current === focusRequest) return;
+    handledFocusRef.current = focusRequest;
+    pendingFocusRef.current = focusRequest;
+
+    if (focusRequest.view === 'original') {
+      setCurrentText(text);
+      setTextType('original');
+    } else {
+      fetchTextFromS3(focusRequest.view);
+    }
+  }, [focusRequest, fetchTextFromS3, text]);
+
+  useEffect(() => {
+    const request = pendingFocusRef.current;
+    if (!request || isLoading || textType !== request.view || !contentRef.current) return;
+    pendingFocusRef.current = null;
+
+    const occurrence = getMatchOccurrence(request, { speakerNames, mapping: redactionMapping });
+    const range = findTextRange(contentRef.current, request.text, occurrence);
+    if (!range) return;
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    range.startContainer.parentElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusRequest, displayText, textType, isLoading, speakerNames, redactionMapping]);
 
   const getButtonClassName = (type) => {
     const baseClasses = "px-3 py-1 rounded-md text-sm transition-all duration-200 text-white";
@@ -128,6 +293,14 @@ const TextDisplay = ({ text, sessionId }) => {
             )}
           </button>
 
+          <button
+            onClick={handleExport}
+            className={getButtonClassName('export')}
+            disabled={isLoading || !currentText}
+          >
+            ייצוא 📄
+          </button>
+
           <button
             onClick={() => {
               if (textType === 'cleaned') {
@@ -157,7 +330,54 @@ const TextDisplay = ({ text, sessionId }) => {
           >
             סיכום
           </button>
+
+          {isRedactionEnabled() && sessionId && (
+            <>
+              <button
+                onClick={() => redactionMapping
+                  ? setRedactionMapping(null)
+                  : keyInputRef.current?.click()}
+                className={`px-3 py-1 rounded-md text-sm transition-all duration-200 text-white ${redactionMapping
+                  ? 'bg-gray-600 ring-2 ring-gray-300'
+                  : 'bg-gray-500 hover:bg-gray-600'}`}
+                disabled={isLoading}
+              >
+                {redactionMapping ? 'הסתר מידע מזהה 🔒' : 'הצג מידע מזהה 🔓'}
+              </button>
+              <input
+                ref={keyInputRef}
+                type="file"
+                accept=".pem,.key"
+                onChange={(e) => unlockRedaction(e.target.files[0])}
+                className="hidden"
+              />
+            </>
+          )}
         </div>
+
+        {textType === 'original' && segments.length > 0 && (
+          <div className="flex items-center gap-2 text-sm" dir="rtl">
+            <label htmlFor="confidence-threshold" className="text-gray-600 whitespace-nowrap">
+              סף ביטחון: {Math.round(confidenceThreshold * 100)}%
+            </label>
+            <input
+              id="confidence-threshold"
+              type="range"
+              min="0.1"
+              max="1"
+              step="0.05"
+              value={confidenceThreshold}
+              onChange={(e) => setConfidenceThreshold(Number(e.target.value))}
+              className="w-24"
+            />
+            <button
+              onClick={goToNextUncertainWord}
+              className="px-3 py-1 rounded-md text-sm transition-all duration-200 text-white bg-yellow-500 hover:bg-yellow-600"
+            >
+              המילה הלא ודאית הבאה
+            </button>
+          </div>
+        )}
       </div>
 
       <div className="group relative h-64 w-full overflow-hidden" style={{ resize: 'vertical' }}>
@@ -175,9 +395,10 @@ const TextDisplay = ({ text, sessionId }) => {
 
         <div
           ref={contentRef}
-          dangerouslySetInnerHTML={{ __html: currentText.replace(/\\n/g, '<br/>') }}
-          className="absolute inset-0 p-4 border-2 border-blue-300 rounded-lg text-right focus:outline-none focus:border-blue-500 overflow-auto bg-white"
-          dir="rtl"
+          onClick={handleWordClick}
+          dangerouslySetInnerHTML={{ __html: displayText.replace(/\\n/g, '<br/>') }}
+          className={`absolute inset-0 p-4 border-2 border-blue-300 rounded-lg ${textDirection === 'rtl' ? 'text-right' : 'text-left'} focus:outline-none focus:border-blue-500 overflow-auto bg-white`}
+          dir={textDirection}
           style={{
             whiteSpace: 'pre-wrap',
             marginTop: '3rem'
@@ -0,0 +1,148 @@
+import { TranscribeClient, ListTranscriptionJobsCommand } from '@aws-sdk/client-transcribe';
+import S3Service from './S3Service';
+
+const PENDING_STORAGE_KEY = 'transcriber.pendingTranscriptions';
+
+// Job states shown to the user; 'waiting' is before the backend starts the job
+export const JOB_STATUS = {
+  waiting: 'ממתין להתחלת עבודת התמלול',
+  QUEUED: 'בתור לתמלול',
+  IN_PROGRESS: 'מתמלל',
+  COMPLETED: 'התמלול הושלם',
+  FAILED: 'התמלול נכשל'
+};
+
+const INITIAL_DELAY_MS = 2000;
+const MAX_DELAY_MS = 30000;
+const BACKOFF_FACTOR = 1.5;
+
+export const TRACKING_CANCELLED = 'TrackingCancelled';
+export const TRANSCRIPTION_FAILED = 'TranscriptionFailed';
+
+/**
+ * Follows the batch Transcribe job of an uploaded session. The backend names
+ * jobs after the session, so the job is found by its ID; once it completes
+ * the transcript is read from transcriptions/<sessionId>.json. Sessions being
+ * waited on are kept in localStorage so they can be picked up after a reload.
+ */
+class TranscribeJobService {
+  constructor() {
+    this.client = new TranscribeClient({
+      region: process.env.REACT_APP_AWS_REGION || 'eu-central-1',
+      credentials: {
+        accessKeyId: process.env.REACT_APP_AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.REACT_APP_AWS_SECRET_ACCESS_KEY
+      }
+    });
+  }
+
+  // Latest job for a session as { status, failureReason, jobName }, or null
+  async getJobStatus(sessionId) {
+    const jobs = [];
+    let nextToken;
+
+    do {
+      const response = await this.client.send(new ListTranscriptionJobsCommand({
+        JobNameContains: sessionId,
+        MaxResults: 100,
+        NextToken: nextToken
+      }));
+      jobs.push(...(response.TranscriptionJobSummaries || []));
+      nextToken = response.NextToken;
+    } while (nextToken);
+
+    if (jobs.length === 0) return null;
+
+    const latest = jobs.sort((a, b) => new Date(b.CreationTime) - new Date(a.CreationTime))[0];
+    return {
+      status: latest.TranscriptionJobStatus,
+      failureReason: latest.FailureReason || null,
+      jobName: latest.TranscriptionJobName
+    };
+  }
+
+  /**
+   * Waits, for as long as it takes, until the session's transcript is ready
+   * and returns it as S3Service.getTranscription does. Checks back off from
+   * 2 to 30 seconds. onStatus gets each JOB_STATUS key as the job moves along;
+   * a failed job rejects with its reason, and cancel() on the returned tracker
+   * rejects with an error named TRACKING_CANCELLED.
+   */
+  track(sessionId, { onStatus } = {}) {
+    let cancelled = false;
+    let timer = null;
+    let rejectWait = null;
+
+    const sleep = (ms) => new Promise((resolve, reject) => {
+      rejectWait = reject;
+      timer = setTimeout(resolve, ms);
+    });
+
+    const promise = (async () => {
+      let delay = INITIAL_DELAY_MS;
+      let lastStatus = null;
+
+      while (!cancelled) {
+        try {
+          const job = await this.getJobStatus(sessionId);
+          const status = job ? job.status : 'waiting';
+
+          if (status !== lastStatus) {
+            lastStatus = status;
+            if (onStatus) onStatus(status);
+          }
+
+          if (status === 'FAILED') {
+            throw Object.assign(new Error(job.failureReason || 'Transcription job failed'), { name: TRANSCRIPTION_FAILED });
+          }
+          if (status === 'COMPLETED') {
+            const transcription = await S3Service.getTranscription(sessionId);
+            if (transcription) return transcription;
+          }
+        } catch (error) {
+          if (error.name === TRANSCRIPTION_FAILED) throw error;
+          console.log('Checking transcription job failed:', error);
+        }
+
+        if (cancelled) break;
+        await sleep(delay);
+        delay = Math.min(MAX_DELAY_MS, delay * BACKOFF_FACTOR);
+      }
+
+      throw Object.assign(new Error('Stopped waiting for transcription'), { name: TRACKING_CANCELLED });
+    })();
+
+    return {
+      promise,
+      cancel: () => {
+        cancelled = true;
+        clearTimeout(timer);
+        if (rejectWait) {
+          rejectWait(Object.assign(new Error('Stopped waiting for transcription'), { name: TRACKING_CANCELLED }));
+        }
+      }
+    };
+  }
+
+  getPendingSessions() {
+    try {
+      return JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY)) || [];
+    } catch (error) {
+      console.error('Error reading pending transcriptions:', error);
+      return [];
+    }
+  }
+
+  addPendingSession(sessionId, fileName) {
+    const sessions = this.getPendingSessions().filter(session => session.sessionId !== sessionId);
+    sessions.push({ sessionId, fileName, uploadedAt: new Date().toISOString() });
+    localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(sessions));
+  }
+
+  removePendingSession(sessionId) {
+    const sessions = this.getPendingSessions().filter(session => session.sessionId !== sessionId);
+    localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(sessions));
+  }
+}
+
+export default new TranscribeJobService();
@@ -0,0 +1,141 @@
+import { escapeHtml, formatSpeakerLabel } from './SpeakerLabels';
+
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.7;
+
+/**
+ * Turns a final Transcribe result into the segment structure stored with the
+ * session: speaker, text, timings and every word with its confidence.
+ * timeOffset (seconds) moves the stream's own times onto the recording's.
+ */
+export function createSegment(result, alternative, timeOffset = 0) {
+  const shift = (time) => (time === undefined ? time : time + timeOffset);
+
+  const items = (alternative.Items || []).map(item => ({
+    content: item.Content,
+    type: item.Type,
+    confidence: item.Confidence ?? null,
+    startTime: shift(item.StartTime),
+    endTime: shift(item.EndTime),
+    speaker: item.Speaker ?? null
+  }));
+
+  const speakerItem = items.find(item => item.speaker !== null);
+  const speaker = speakerItem
+    ? speakerItem.speaker
+    : (items.length === 0 && result.Speaker) ? result.Speaker : null;
+
+  return {
+    speaker,
+    text: alternative.Transcript || '',
+    startTime: shift(result.StartTime),
+    endTime: shift(result.EndTime),
+    // Only set when Transcribe identified the language itself
+    language: result.LanguageCode || null,
+    items
+  };
+}
+
+// Pause after a sentence that starts a new segment within one speaker's turn
+const BATCH_SEGMENT_PAUSE_SECONDS = 1.5;
+
+/**
+ * Builds live-style segments from a batch Transcribe result: a new segment
+ * at each change of speaker, and after a sentence followed by a pause.
+ * Speakers come from each item's speaker_label, or for older output from the
+ * speaker_labels section, matched by start time. Times are in seconds.
+ */
+export function createBatchSegments(results) {
+  const speakerByStart = new Map();
+  (results.speaker_labels?.segments || []).forEach(segment => {
+    (segment.items || []).forEach(item => speakerByStart.set(item.start_time, item.speaker_label));
+  });
+
+  const segments = [];
+  let current = null;
+  let previous = null;
+
+  (results.items || []).forEach(result => {
+    const alternative = result.alternatives?.[0] || {};
+    const isPunctuation = result.type === 'punctuation';
+    const startTime = isPunctuation ? previous?.endTime ?? 0 : Number(result.start_time);
+    const item = {
+      content: alternative.content || '',
+      type: result.type,
+      confidence: isPunctuation || alternative.confidence === undefined ? null : Number(alternative.confidence),
+      startTime,
+      endTime: isPunctuation ? startTime : Number(result.end_time),
+      speaker: isPunctuation
+        ? previous?.speaker ?? null
+        : result.speaker_label ?? speakerByStart.get(result.start_time) ?? null
+    };
+
+    const speakerChanged = current && !isPunctuation && item.speaker !== current.speaker;
+    const pausedAfterSentence = current && !isPunctuation && /^[.?!]$/.test(previous?.content) &&
+      item.startTime - previous.endTime >= BATCH_SEGMENT_PAUSE_SECONDS;
+
+    if (!current || speakerChanged || pausedAfterSentence) {
+      current = {
+        speaker: item.speaker,
+        text: '',
+        startTime: item.startTime,
+        endTime: item.endTime,
+        language: results.language_code || null,
+        items: []
+      };
+      segments.push(current);
+    }
+
+    current.items.push(item);
+    current.text += (current.items.length === 1 || isPunctuation ? '' : ' ') + item.content;
+    current.endTime = item.endTime;
+    previous = item;
+  });
+
+  return segments;
+}
+
+export function formatSegment(segment) {
+  const label = segment.speaker !== null && segment.speaker !== undefined
+    ? formatSpeakerLabel(segment.speaker)
+    : '';
+  return label + segment.text;
+}
+
+// One line per segment, with an empty line after a paragraph break
+const joinLines = (segments, lines) => lines
+  .map((line, index) => (index === 0 ? '' : segments[index - 1].paragraphBreak ? '\n\n' : '\n') + line)
+  .join('');
+
+export function formatTranscript(segments) {
+  return joinLines(segments, segments.map(formatSegment));
+}
+
+function renderWords(items, threshold) {
+  let html = '';
+  items.forEach((item, index) => {
+    const content = escapeHtml(item.content || '');
+    const separator = index === 0 || item.type === 'punctuation' ? '' : ' ';
+
+    if (item.type !== 'punctuation' && item.confidence !== null && item.confidence < threshold) {
+      const percent = Math.round(item.confidence * 100);
+      html += `${separator}<span data-uncertain="true" data-start="${item.startTime}" class="bg-yellow-200 rounded px-0.5" title="ביטחון: ${percent}%">${content}</span>`;
+    } else if (item.type === 'punctuation') {
+      html += content;
+    } else {
+      // Every word carries its time so clicking it can seek the player
+      html += `${separator}<span data-start="${item.startTime}">${content}</span>`;
+    }
+  });
+  return html;
+}
+
+// HTML for TextDisplay with low-confidence words wrapped in marked spans
+export function renderSegmentsHtml(segments, threshold = DEFAULT_CONFIDENCE_THRESHOLD) {
+  return joinLines(segments, segments.map(segment => {
+    const label = escapeHtml(formatSegment({ ...segment, text: '' }));
+    const body = segment.items?.length > 0
+      ? renderWords(segment.items, threshold)
+      : escapeHtml(segment.text);
+    return label + body;
+  }));
+}
@@ -0,0 +1,225 @@
+import S3Service, { createSessionId } from './S3Service';
+import MediaUpload, { UPLOAD_PAUSED, UPLOAD_CANCELLED, findPendingUpload } from './MediaUpload';
+import { redactStoredTranscription } from './Redaction';
+import TranscribeJobService, { TRACKING_CANCELLED, TRANSCRIPTION_FAILED } from './TranscribeJobService';
+
+// Status labels shown in the queue panel, keyed by item status
+export const QUEUE_STATUS = {
+  queued: 'בתור',
+  uploading: 'מעלה',
+  paused: 'מושהה',
+  transcribing: 'ממתין לתמלול',
+  done: 'הושלם',
+  failed: 'נכשל',
+  cancelled: 'בוטל'
+};
+
+let nextItemId = 1;
+
+/**
+ * Uploads several media files for batch transcription, at most concurrency
+ * at a time, and waits for each transcript. Each file gets its own session.
+ * onChange gets the item list whenever an item changes; items are
+ * { id, sessionId, fileName, status, progress, uploaded, jobStatus, error,
+ * text, segments }.
+ */
+class UploadQueue {
+  constructor({ concurrency = 2, onChange, onDone } = {}) {
+    this.concurrency = concurrency;
+    this.onChange = onChange;
+    this.onDone = onDone;
+    this.items = [];
+    this.uploads = new Map();
+    this.trackers = new Map();
+    this.active = 0;
+  }
+
+  // Goes back to sessions uploaded earlier whose transcripts never arrived here
+  restorePending() {
+    const restored = TranscribeJobService.getPendingSessions()
+      .filter(({ sessionId }) => !this.items.some(item => item.sessionId === sessionId))
+      .map(({ sessionId, fileName }) => ({
+        id: nextItemId++,
+        sessionId,
+        fileName,
+        status: 'transcribing',
+        progress: null,
+        uploaded: true,
+        jobStatus: null,
+        error: null,
+        text: null
+      }));
+
+    this.items = [...this.items, ...restored];
+    this.emit();
+    restored.forEach(item => this.waitForTranscription(item.id));
+  }
+
+  /**
+   * Queues files, as [{ file, metadata }] with metadata about the original
+   * (see prepareMediaFile), with the transcription options and session
+   * manifest settings chosen when they were added. A file whose multipart
+   * upload was interrupted by a reload continues under its earlier session.
+   */
+  add(entries, { transcriptionOptions, sessionSettings }) {
+    const added = entries.map(({ file, metadata = {} }) => {
+      const item = {
+        id: nextItemId++,
+        sessionId: findPendingUpload(file)?.sessionId || createSessionId(),
+        fileName: metadata.originalFile?.name || file.name,
+        status: 'queued',
+        progress: null,
+        uploaded: false,
+        jobStatus: null,
+        error: null,
+        text: null
+      };
+      this.uploads.set(item.id, {
+        upload: new MediaUpload(file, item.sessionId, transcriptionOptions, {
+          onProgress: progress => this.update(item.id, { progress })
+        }),
+        sessionSettings: { ...sessionSettings, ...metadata }
+      });
+      return item;
+    });
+
+    this.items = [...this.items, ...added];
+    this.emit();
+    this.next();
+    return added;
+  }
+
+  pause(id) {
+    this.uploads.get(id)?.upload.pause();
+  }
+
+  // Carries on a paused upload, or one whose parts failed, from the parts S3 has
+  resume(id) {
+    const item = this.getItem(id);
+    const resumable = item?.status === 'paused' || (item?.status === 'failed' && !item.uploaded);
+    if (!resumable || !this.uploads.has(id)) return;
+    this.update(id, { status: 'queued' });
+    this.next();
+  }
+
+  async cancel(id) {
+    const item = this.getItem(id);
+    if (item?.status === 'transcribing') {
+      // The job itself runs on; this only stops waiting for it
+      this.trackers.get(id)?.cancel();
+      return;
+    }
+    if (!item || !['queued', 'uploading', 'paused'].includes(item.status)) return;
+
+    // A running upload reports the cancellation from run()
+    if (item.status !== 'uploading') {
+      this.update(id, { status: 'cancelled' });
+    }
+    try {
+      await this.uploads.get(id).upload.cancel();
+    } catch (error) {
+      console.error('Error cancelling upload:', error);
+    }
+  }
+
+  // Waits again for an uploaded file whose tracking was stopped or failed
+  retryTracking(id) {
+    const item = this.getItem(id);
+    if (!item?.uploaded || !['cancelled', 'failed'].includes(item.status)) return;
+    this.update(id, { error: null });
+    this.waitForTranscription(id);
+  }
+
+  // Drops finished, failed and cancelled items from the list
+  clearFinished() {
+    this.items = this.items.filter(item => ['queued', 'uploading', 'paused', 'transcribing'].includes(item.status));
+    this.emit();
+  }
+
+  getItem(id) {
+    return this.items.find(item => item.id === id);
+  }
+
+  update(id, changes) {
+    this.items = this.items.map(item => (item.id === id ? { ...item, ...changes } : item));
+    this.emit();
+  }
+
+  emit() {
+    if (this.onChange) this.onChange(this.items);
+  }
+
+  next() {
+    while (this.active < this.concurrency) {
+      const item = this.items.find(candidate => candidate.status === 'queued');
+      if (!item) return;
+      this.run(item.id);
+    }
+  }
+
+  // Only the upload takes a slot; waiting for the transcript doesn't
+  async run(id) {
+    const { upload, sessionSettings } = this.uploads.get(id);
+    this.active++;
+    this.update(id, { status: 'uploading', error: null });
+
+    let uploaded = false;
+    try {
+      await upload.start();
+      await S3Service.saveSessionMetadata(this.getItem(id).sessionId, sessionSettings);
+      uploaded = true;
+    } catch (error) {
+      if (error.name === UPLOAD_PAUSED) {
+        this.update(id, { status: 'paused' });
+      } else if (error.name === UPLOAD_CANCELLED) {
+        this.update(id, { status: 'cancelled', progress: null });
+      } else {
+        console.error('Error uploading file:', error);
+        this.update(id, { status: 'failed', error: error.message });
+      }
+    } finally {
+      this.active--;
+      this.next();
+    }
+
+    if (uploaded) {
+      this.uploads.delete(id);
+      await this.waitForTranscription(id);
+    }
+  }
+
+  async waitForTranscription(id) {
+    const { sessionId, fileName } = this.getItem(id);
+    TranscribeJobService.addPendingSession(sessionId, fileName);
+    this.update(id, { status: 'transcribing', uploaded: true });
+
+    const tracker = TranscribeJobService.track(sessionId, {
+      onStatus: jobStatus => this.update(id, { jobStatus })
+    });
+    this.trackers.set(id, tracker);
+
+    try {
+      const transcription = await tracker.promise;
+      // The backend writes the batch transcript verbatim; it's redacted in place once it arrives
+      const { text, segments } = await redactStoredTranscription(sessionId, transcription);
+      TranscribeJobService.removePendingSession(sessionId);
+      this.update(id, { status: 'done', text, segments });
+      if (this.onDone) this.onDone(this.getItem(id));
+    } catch (error) {
+      // Only a finished job is forgotten; a cancelled wait is picked up again after a reload
+      if (error.name === TRANSCRIPTION_FAILED) {
+        TranscribeJobService.removePendingSession(sessionId);
+      }
+      if (error.name === TRACKING_CANCELLED) {
+        this.update(id, { status: 'cancelled' });
+      } else {
+        console.error('Error waiting for transcription:', error);
+        this.update(id, { status: 'failed', error: error.message });
+      }
+    } finally {
+      this.trackers.delete(id);
+    }
+  }
+}
+
+export default UploadQueue;
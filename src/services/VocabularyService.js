@@ -0,0 +1,86 @@
+import {
+  TranscribeClient,
+  ListVocabulariesCommand,
+  ListVocabularyFiltersCommand
+} from '@aws-sdk/client-transcribe';
+
+const SETTINGS_STORAGE_KEY = 'transcriber.vocabularySettings';
+
+class VocabularyService {
+  constructor() {
+    this.client = new TranscribeClient({
+      region: process.env.REACT_APP_AWS_REGION || 'eu-central-1',
+      credentials: {
+        accessKeyId: process.env.REACT_APP_AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.REACT_APP_AWS_SECRET_ACCESS_KEY
+      }
+    });
+  }
+
+  // Custom vocabularies that are ready to use, as { name, languageCode }
+  async listVocabularies() {
+    const vocabularies = [];
+    let nextToken;
+
+    try {
+      do {
+        const response = await this.client.send(new ListVocabulariesCommand({
+          StateEquals: 'READY',
+          MaxResults: 100,
+          NextToken: nextToken
+        }));
+        (response.Vocabularies || []).forEach(vocabulary => vocabularies.push({
+          name: vocabulary.VocabularyName,
+          languageCode: vocabulary.LanguageCode
+        }));
+        nextToken = response.NextToken;
+      } while (nextToken);
+
+      return vocabularies;
+    } catch (error) {
+      console.error('Error listing vocabularies:', error);
+      throw new Error(`Failed to list vocabularies: ${error.message}`);
+    }
+  }
+
+  // Vocabulary filters (profanity, filler words...), as { name, languageCode }
+  async listVocabularyFilters() {
+    const filters = [];
+    let nextToken;
+
+    try {
+      do {
+        const response = await this.client.send(new ListVocabularyFiltersCommand({
+          MaxResults: 100,
+          NextToken: nextToken
+        }));
+        (response.VocabularyFilters || []).forEach(filter => filters.push({
+          name: filter.VocabularyFilterName,
+          languageCode: filter.LanguageCode
+        }));
+        nextToken = response.NextToken;
+      } while (nextToken);
+
+      return filters;
+    } catch (error) {
+      console.error('Error listing vocabulary filters:', error);
+      throw new Error(`Failed to list vocabulary filters: ${error.message}`);
+    }
+  }
+
+  // The user's vocabulary choice per language, kept in this browser
+  loadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('Error reading vocabulary settings:', error);
+      return {};
+    }
+  }
+
+  saveSettings(vocabularySettings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(vocabularySettings));
+  }
+}
+
+export default new VocabularyService();
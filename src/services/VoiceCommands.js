@@ -0,0 +1,223 @@
+const COMMANDS_STORAGE_KEY = 'transcriber.voiceCommands';
+
+// Phrases that trigger each command when they end a dictated sentence
+export const DEFAULT_VOICE_COMMANDS = {
+  newParagraph: ['פסקה חדשה', 'new paragraph'],
+  deleteLastSentence: ['מחק משפט אחרון', 'delete last sentence'],
+  startSummary: ['התחל סיכום', 'start summary section'],
+  stopRecording: ['עצור הקלטה', 'stop recording']
+};
+
+export const VOICE_COMMAND_NAMES = {
+  newParagraph: 'פסקה חדשה',
+  deleteLastSentence: 'מחיקת המשפט האחרון',
+  startSummary: 'פתיחת פרק סיכום',
+  stopRecording: 'עצירת ההקלטה'
+};
+
+const SUMMARY_HEADING = 'סיכום:';
+
+// Punctuation dictated as words. The Hebrew custom vocabulary already turns
+// some of these into symbols; this covers the rest and other vocabularies.
+const SPOKEN_PUNCTUATION = {
+  'נקודה': '.',
+  'פסיק': ',',
+  'נקודתיים': ':',
+  'סימן שאלה': '?',
+  'סימן קריאה': '!',
+  'period': '.',
+  'full stop': '.',
+  'comma': ',',
+  'colon': ':',
+  'question mark': '?',
+  'exclamation mark': '!'
+};
+
+export function loadVoiceCommands() {
+  try {
+    return { ...DEFAULT_VOICE_COMMANDS, ...JSON.parse(localStorage.getItem(COMMANDS_STORAGE_KEY)) };
+  } catch (error) {
+    console.error('Error reading voice commands:', error);
+    return DEFAULT_VOICE_COMMANDS;
+  }
+}
+
+export function saveVoiceCommands(commands) {
+  localStorage.setItem(COMMANDS_STORAGE_KEY, JSON.stringify(commands));
+}
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[.,!?:;"'״׳()-]/g, '');
+
+const isSentenceEnd = (content) => /^[.?!]$/.test(content);
+
+const itemsToText = (items) => items
+  .map((item, index) => (index === 0 || item.type === 'punctuation' ? '' : ' ') + item.content)
+  .join('');
+
+function getWords(segment) {
+  if (segment.items?.length > 0) {
+    return segment.items
+      .filter(item => item.type !== 'punctuation')
+      .map(item => normalizeWord(item.content));
+  }
+  return segment.text.split(/\s+/).map(normalizeWord).filter(Boolean);
+}
+
+// The command whose phrase ends the segment, preferring the longest phrase
+function findCommand(segment, commands) {
+  const words = getWords(segment);
+  let match = null;
+
+  Object.entries(commands).forEach(([command, phrases]) => {
+    phrases.forEach(phrase => {
+      const phraseWords = phrase.split(/\s+/).map(normalizeWord).filter(Boolean);
+      if (phraseWords.length === 0 || phraseWords.length > words.length) return;
+      if (match && match.wordCount >= phraseWords.length) return;
+
+      const tail = words.slice(words.length - phraseWords.length);
+      if (tail.every((word, i) => word === phraseWords[i])) {
+        match = { command, wordCount: phraseWords.length };
+      }
+    });
+  });
+
+  return match;
+}
+
+// Removes the last wordCount words (and punctuation after them) from a segment
+function stripTrailingWords(segment, wordCount) {
+  if (!(segment.items?.length > 0)) {
+    const words = segment.text.trim().split(/\s+/);
+    return { ...segment, text: words.slice(0, words.length - wordCount).join(' ') };
+  }
+
+  const items = [...segment.items];
+  let removed = 0;
+  while (items.length > 0 && removed < wordCount) {
+    if (items.pop().type !== 'punctuation') removed++;
+  }
+
+  return {
+    ...segment,
+    items,
+    text: itemsToText(items),
+    endTime: items.length > 0 ? items[items.length - 1].endTime : segment.startTime
+  };
+}
+
+// Drops the last sentence of the transcript, and its segment if nothing is left
+function deleteLastSentence(segments) {
+  const index = segments.map(segment => Boolean(segment.text.trim())).lastIndexOf(true);
+  if (index === -1) return segments;
+
+  const segment = segments[index];
+  let trimmed;
+
+  if (segment.items?.length > 0) {
+    const boundary = segment.items
+      .slice(0, -1)
+      .map(item => item.type === 'punctuation' && isSentenceEnd(item.content))
+      .lastIndexOf(true);
+    const items = segment.items.slice(0, boundary + 1);
+    trimmed = { ...segment, items, text: itemsToText(items) };
+  } else {
+    const text = segment.text.trim().replace(/[.?!]+$/, '');
+    const boundary = Math.max(text.lastIndexOf('.'), text.lastIndexOf('?'), text.lastIndexOf('!'));
+    trimmed = { ...segment, text: text.slice(0, boundary + 1) };
+  }
+
+  const result = segments.slice(0, index);
+  if (trimmed.text.trim()) result.push(trimmed);
+  return result.concat(segments.slice(index + 1));
+}
+
+// Marks the last segment so the next one starts a new paragraph
+function breakParagraph(segments) {
+  if (segments.length === 0) return segments;
+  return [...segments.slice(0, -1), { ...segments[segments.length - 1], paragraphBreak: true }];
+}
+
+/**
+ * Replaces dictated punctuation words in a segment with the symbols, dropping
+ * any punctuation Transcribe added around them.
+ */
+export function applySpokenPunctuation(segment) {
+  const phrases = Object.keys(SPOKEN_PUNCTUATION).map(phrase => phrase.split(' '));
+  const items = segment.items?.length > 0
+    ? segment.items
+    : segment.text.split(/\s+/).filter(Boolean).map(content => ({ content, type: 'pronunciation' }));
+  const result = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const match = phrases.find(words => words.every((word, offset) =>
+      items[i + offset]?.type === 'pronunciation' && normalizeWord(items[i + offset].content) === word
+    ));
+
+    if (!match) {
+      result.push(items[i]);
+      continue;
+    }
+
+    const last = items[i + match.length - 1];
+    if (result.length > 0 && result[result.length - 1].type === 'punctuation') {
+      result.pop();
+    }
+    result.push({
+      ...items[i],
+      content: SPOKEN_PUNCTUATION[match.join(' ')],
+      type: 'punctuation',
+      confidence: null,
+      endTime: last.endTime
+    });
+    i += match.length - 1;
+    while (items[i + 1]?.type === 'punctuation') i++;
+  }
+
+  if (result.length === items.length && result.every((item, i) => item === items[i])) {
+    return segment;
+  }
+  return {
+    ...segment,
+    text: itemsToText(result),
+    items: segment.items?.length > 0 ? result : []
+  };
+}
+
+/**
+ * Adds a final segment to the transcript, acting on a voice command if the
+ * segment ends with one. The command words themselves never reach the text.
+ * Returns the new segment list and the command found (or null), so the caller
+ * can handle commands that go beyond the transcript, like stopping.
+ */
+export function applyVoiceCommand(segments, segment, commands = DEFAULT_VOICE_COMMANDS) {
+  const match = findCommand(segment, commands);
+  if (!match) {
+    return { segments: [...segments, segment], command: null };
+  }
+
+  const remainder = stripTrailingWords(segment, match.wordCount);
+  let result = remainder.text.trim() ? [...segments, remainder] : [...segments];
+
+  switch (match.command) {
+    case 'newParagraph':
+      result = breakParagraph(result);
+      break;
+    case 'deleteLastSentence':
+      result = deleteLastSentence(result);
+      break;
+    case 'startSummary':
+      result = [...breakParagraph(result), {
+        speaker: null,
+        text: SUMMARY_HEADING,
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        language: segment.language,
+        items: []
+      }];
+      break;
+    default:
+      break;
+  }
+
+  return { segments: result, command: match.command };
+}
@@ -0,0 +1,137 @@
+import { applyVoiceCommand, applySpokenPunctuation, DEFAULT_VOICE_COMMANDS } from './VoiceCommands';
+
+const isPunctuation = (content) => /^[.,:?!]$/.test(content);
+
+// A final segment from space-separated words, punctuation as words of its own
+const segment = (words, startTime = 0) => {
+  const items = words.split(' ').map((content, i) => ({
+    content,
+    type: isPunctuation(content) ? 'punctuation' : 'pronunciation',
+    confidence: isPunctuation(content) ? null : 0.95,
+    startTime: startTime + i,
+    endTime: startTime + i + 1,
+    speaker: null
+  }));
+  return {
+    speaker: null,
+    text: items.map((item, i) => (i === 0 || item.type === 'punctuation' ? '' : ' ') + item.content).join(''),
+    startTime,
+    endTime: startTime + items.length,
+    language: 'he-IL',
+    items
+  };
+};
+
+describe('applyVoiceCommand', () => {
+  it('adds a segment without a command as it is', () => {
+    const previous = [segment('שלום .')];
+    const next = segment('המטופל מרגיש טוב .', 10);
+
+    expect(applyVoiceCommand(previous, next)).toEqual({ segments: [...previous, next], command: null });
+  });
+
+  it('acts on a phrase only at the end of the segment', () => {
+    const next = segment('פסקה חדשה נפתחה היום', 10);
+
+    expect(applyVoiceCommand([], next).command).toBeNull();
+  });
+
+  it('removes the command words and the punctuation after them', () => {
+    const { segments, command } = applyVoiceCommand([], segment('המטופל מרגיש טוב פסקה חדשה .'));
+
+    expect(command).toBe('newParagraph');
+    expect(segments).toHaveLength(1);
+    expect(segments[0].text).toBe('המטופל מרגיש טוב');
+    expect(segments[0].items.map(({ content }) => content)).toEqual(['המטופל', 'מרגיש', 'טוב']);
+    expect(segments[0].endTime).toBe(3);
+    expect(segments[0].paragraphBreak).toBe(true);
+  });
+
+  it('breaks the paragraph after the previous segment when the command stands alone', () => {
+    const previous = [segment('שורה ראשונה .')];
+    const { segments } = applyVoiceCommand(previous, segment('פסקה חדשה', 10));
+
+    expect(segments).toEqual([{ ...previous[0], paragraphBreak: true }]);
+  });
+
+  it('matches case and punctuation insensitively', () => {
+    const { segments, command } = applyVoiceCommand([], segment('All done , Stop recording .'));
+
+    expect(command).toBe('stopRecording');
+    expect(segments[0].text).toBe('All done,');
+  });
+
+  it('prefers the longest phrase that ends the segment', () => {
+    // The shorter phrase is checked first
+    const commands = { startSummary: ['חדשה'], newParagraph: DEFAULT_VOICE_COMMANDS.newParagraph };
+    const { command } = applyVoiceCommand([], segment('טקסט פסקה חדשה'), commands);
+
+    expect(command).toBe('newParagraph');
+  });
+
+  it('deletes the last sentence of the transcript', () => {
+    const previous = [segment('משפט ראשון . משפט שני .')];
+    const { segments, command } = applyVoiceCommand(previous, segment('מחק משפט אחרון', 10));
+
+    expect(command).toBe('deleteLastSentence');
+    expect(segments).toHaveLength(1);
+    expect(segments[0].text).toBe('משפט ראשון.');
+  });
+
+  it('drops a segment left empty by deleting its only sentence', () => {
+    const previous = [segment('נשאר .'), segment('רק משפט אחד .', 5)];
+    const { segments } = applyVoiceCommand(previous, segment('מחק משפט אחרון', 10));
+
+    expect(segments).toEqual([previous[0]]);
+  });
+
+  it('deletes the last sentence of segments without word items', () => {
+    const previous = [{ speaker: null, text: 'משפט ראשון. משפט שני.', items: [] }];
+    const { segments } = applyVoiceCommand(previous, segment('מחק משפט אחרון', 10));
+
+    expect(segments[0].text).toBe('משפט ראשון.');
+  });
+
+  it('opens a summary section under a heading of its own', () => {
+    const { segments, command } = applyVoiceCommand([], segment('סוף הבדיקה . התחל סיכום', 4));
+
+    expect(command).toBe('startSummary');
+    expect(segments.map(({ text }) => text)).toEqual(['סוף הבדיקה.', 'סיכום:']);
+    expect(segments[0].paragraphBreak).toBe(true);
+    expect(segments[1]).toMatchObject({ speaker: null, startTime: 4, items: [] });
+  });
+});
+
+describe('applySpokenPunctuation', () => {
+  it('turns dictated punctuation into symbols', () => {
+    const result = applySpokenPunctuation(segment('יש כאב בחזה נקודה האם יש חום סימן שאלה'));
+
+    expect(result.text).toBe('יש כאב בחזה. האם יש חום?');
+    expect(result.items[3]).toMatchObject({ content: '.', type: 'punctuation', confidence: null });
+  });
+
+  it('keeps the word span of a dictated symbol', () => {
+    const result = applySpokenPunctuation(segment('כן סימן קריאה'));
+
+    expect(result.items[1]).toMatchObject({ content: '!', startTime: 1, endTime: 3 });
+  });
+
+  it('drops punctuation Transcribe put around a dictated symbol', () => {
+    const result = applySpokenPunctuation(segment('כאב , פסיק . חום'));
+
+    expect(result.text).toBe('כאב, חום');
+  });
+
+  it('works on segments without word items', () => {
+    const result = applySpokenPunctuation({ speaker: null, text: 'כאב ראש נקודה', items: [] });
+
+    expect(result.text).toBe('כאב ראש.');
+    expect(result.items).toEqual([]);
+  });
+
+  it('returns a segment without dictated punctuation unchanged', () => {
+    const original = segment('אין כאן פיסוק מוכתב .');
+
+    expect(applySpokenPunctuation(original)).toBe(original);
+  });
+});